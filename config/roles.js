@@ -0,0 +1,83 @@
+// Permissions granted to each built-in role. Routes check permissions with
+// requirePermission() in middleware/auth.js rather than checking role names.
+const PERMISSIONS = [
+  'blog:create',
+  'blog:edit-own',
+  'blog:edit-any',
+  'blog:publish',
+  'blog:review',
+  'blog:delete',
+  'blog:read-drafts',
+  'blog:taxonomy',
+  'comment:moderate',
+  'job:manage',
+  'media:upload',
+  'media:delete',
+  'user:manage',
+  'apikey:manage',
+  'audit:read',
+  'assets:write'
+];
+
+const ROLES = {
+  user: [],
+  author: [
+    'blog:create',
+    'blog:edit-own',
+    'media:upload'
+  ],
+  // Approves or requests changes on posts submitted for review
+  reviewer: [
+    'blog:review'
+  ],
+  editor: [
+    'blog:create',
+    'blog:edit-own',
+    'blog:edit-any',
+    'blog:publish',
+    'blog:review',
+    'blog:delete',
+    'blog:read-drafts',
+    'blog:taxonomy',
+    'comment:moderate',
+    'media:upload',
+    'media:delete'
+  ],
+  recruiter: [
+    'job:manage'
+  ],
+  admin: PERMISSIONS
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+// Scopes that may be granted to API keys, with the permissions each one
+// carries. Account and key management are deliberately excluded.
+const API_KEY_SCOPES = {
+  'blog:read-drafts': ['blog:read-drafts'],
+  'blog:create': ['blog:create'],
+  'blog:edit-any': ['blog:edit-any'],
+  'blog:publish': ['blog:publish'],
+  'job:write': ['job:manage'],
+  'media:upload': ['media:upload'],
+  'assets:write': ['assets:write']
+};
+
+const API_KEY_SCOPE_NAMES = Object.keys(API_KEY_SCOPES);
+
+const permissionsFor = (role) => ROLES[role] || [];
+
+const roleHasPermission = (role, permission) => permissionsFor(role).includes(permission);
+
+const scopePermissions = (scopes) => [...new Set(scopes.flatMap((scope) => API_KEY_SCOPES[scope] || []))];
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  API_KEY_SCOPES,
+  API_KEY_SCOPE_NAMES,
+  permissionsFor,
+  roleHasPermission,
+  scopePermissions
+};
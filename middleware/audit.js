@@ -0,0 +1,115 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the audit trail
+const SENSITIVE_FIELD = /password|token|secret|hash|backupcodes/i;
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['_id', 'id', '__v', 'updatedAt'];
+
+// Plain JSON snapshot of a document with populated refs reduced to their ids,
+// so a loaded document and a populated response compare equal
+const snapshot = (value) => {
+  if (!value) return null;
+  const plain = JSON.parse(JSON.stringify(value));
+  if (typeof plain !== 'object' || Array.isArray(plain)) return plain;
+
+  return Object.fromEntries(Object.entries(plain)
+    .filter(([key]) => !SENSITIVE_FIELD.test(key))
+    .map(([key, field]) => [
+      key,
+      field && typeof field === 'object' && !Array.isArray(field) && field._id ? field._id : field
+    ]));
+};
+
+// Field-level { from, to } diff. Updates only compare fields present after the
+// change; creates and deletes record every field.
+const diff = (before, after) => {
+  const changes = {};
+  if (!before && !after) return changes;
+
+  if (!before || !after || typeof before !== 'object' || typeof after !== 'object') {
+    return { value: { from: before, to: after } };
+  }
+
+  const keys = new Set(Object.keys(after));
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes[key] = { from: before[key], to: after[key] };
+    }
+  }
+  return changes;
+};
+
+// Every field of a created (side 'to') or deleted (side 'from') document
+const fullDiff = (doc, side) => {
+  const entry = (value) => (side === 'to' ? { from: null, to: value } : { from: value, to: null });
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    return doc ? { value: entry(doc) } : {};
+  }
+  return Object.fromEntries(Object.entries(doc)
+    .filter(([key]) => !IGNORED_FIELDS.includes(key))
+    .map(([key, value]) => [key, entry(value)]));
+};
+
+const defaultTargetId = (req, body) =>
+  req.params.id || req.params.key || req.params.filename ||
+  (body && body.data && (body.data._id || body.data.id)) || null;
+
+// Record a privileged mutation in the audit log.
+//   entity  - e.g. 'blog', 'job', 'user'
+//   action  - 'create', 'update' or 'delete' (stored as `${entity}.${action}`
+//             unless `name` is given, e.g. 'user.role')
+//   load    - async (req, targetId) => current state, used for the before and
+//             after snapshots; without it the response `data` is the after state
+// Entries are only written for successful responses and a failed write never
+// affects the response.
+exports.audit = (entity, action, { name, load, targetId = defaultTargetId } = {}) => {
+  return async (req, res, next) => {
+    let before = null;
+    try {
+      if (load && action !== 'create') {
+        before = snapshot(await load(req, targetId(req)));
+      }
+    } catch (err) {
+      console.error('Audit snapshot error:', err);
+    }
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 400 && body && body.status === 'success') {
+        const entityId = targetId(req, body);
+        record(req, { entity, action, name, load, entityId, before, body })
+          .catch((err) => console.error('Audit log write error:', err));
+      }
+      return originalJson(body);
+    };
+
+    next();
+  };
+};
+
+const record = async (req, { entity, action, name, load, entityId, before, body }) => {
+  let after = null;
+  if (action !== 'delete') {
+    after = load ? snapshot(await load(req, entityId)) : snapshot(body.data);
+  }
+
+  let changes;
+  if (action === 'create') changes = fullDiff(after, 'to');
+  else if (action === 'delete') changes = fullDiff(before, 'from');
+  else changes = diff(before, after);
+
+  await AuditLog.create({
+    actor: req.user && req.user._id,
+    actorName: req.user && req.user.name,
+    actorRole: req.user && req.user.role,
+    apiKey: req.apiKey ? req.apiKey._id : undefined,
+    action: name || `${entity}.${action}`,
+    entity,
+    entityId: entityId ? String(entityId) : undefined,
+    changes,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || '',
+    requestId: req.id
+  });
+};
@@ -1,37 +1,133 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
 
-// Protect routes
+// Look up the session an access token was issued for, null if it is no longer usable
+const findActiveSession = async (sessionId) => {
+  if (!sessionId) return null;
+  const session = await Session.findById(sessionId);
+  return session && session.isActive ? session : null;
+};
+
+// Error codes let the frontend tell "refresh the token" apart from "log in again"
+// or "account suspended".
+const authFailure = (status, code, message) => ({ failure: { status, code, message } });
+
+// Verify an access token and resolve its user.
+// Returns { user, sessionId } or { failure: { status, code, message } }.
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return authFailure(401, 'TOKEN_EXPIRED', 'Access token has expired');
+    }
+    return authFailure(401, 'TOKEN_INVALID', 'Not authorized to access this route');
+  }
+
+  const session = await findActiveSession(decoded.sid);
+  if (!session || session.user.toString() !== decoded.id) {
+    return authFailure(401, 'SESSION_REVOKED', 'Session has expired or been revoked');
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    return authFailure(401, 'USER_NOT_FOUND', 'User no longer exists');
+  }
+
+  if (!user.isActive) {
+    return authFailure(403, 'ACCOUNT_SUSPENDED', 'Your account has been suspended');
+  }
+
+  // Bumped on password, role or status changes, so older tokens stop working
+  if ((decoded.tv || 0) !== user.tokenVersion) {
+    return authFailure(401, 'TOKEN_INVALIDATED', 'Token is no longer valid, please refresh or log in again');
+  }
+
+  return { user, sessionId: session._id.toString() };
+};
+
+// Verify an `Authorization: ApiKey ...` credential and record its use.
+// Keys stop working once their creator is deleted or suspended.
+// Returns { apiKey, creator } or { failure: { status, code, message } }.
+const verifyApiKey = async (rawKey, ip) => {
+  const apiKey = await ApiKey.findByRawKey(rawKey);
+  if (!apiKey) {
+    return authFailure(401, 'API_KEY_INVALID', 'API key is invalid, expired or revoked');
+  }
+
+  const creator = await User.findById(apiKey.createdBy);
+  if (!creator) {
+    return authFailure(401, 'API_KEY_OWNER_NOT_FOUND', 'The account that created this API key no longer exists');
+  }
+
+  if (!creator.isActive) {
+    return authFailure(403, 'API_KEY_OWNER_SUSPENDED', 'The account that created this API key has been suspended');
+  }
+
+  // Avoid a write on every request, last-used precision of a minute is plenty
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > 60 * 1000) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip });
+  }
+
+  return { apiKey, creator };
+};
+
+// Protect routes. Accepts a Bearer access token, or an API key for
+// server-to-server calls; API keys only pass requirePermission() for their scopes.
 exports.protect = async (req, res, next) => {
-  console.log('Auth middleware - protect called');
-  console.log('JWT_SECRET exists:', !!process.env.JWT_SECRET);
-  
+  if (req.headers.authorization && req.headers.authorization.startsWith('ApiKey ')) {
+    try {
+      const result = await verifyApiKey(req.headers.authorization.slice(7).trim(), req.ip);
+      if (result.failure) {
+        return res.status(result.failure.status).json({
+          status: 'error',
+          code: result.failure.code,
+          message: result.failure.message
+        });
+      }
+
+      req.apiKey = result.apiKey;
+      req.user = result.apiKey.toPrincipal(result.creator);
+      return next();
+    } catch (err) {
+      console.error('API key auth error:', err);
+      return res.status(401).json({
+        status: 'error',
+        message: 'Not authorized to access this route'
+      });
+    }
+  }
+
   let token;
 
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     token = req.headers.authorization.split(' ')[1];
-    console.log('Token found:', !!token);
-  } else {
-    console.log('No authorization header or invalid format');
   }
 
   if (!token) {
     return res.status(401).json({
       status: 'error',
+      code: 'TOKEN_MISSING',
       message: 'Not authorized to access this route'
     });
   }
 
   try {
-    console.log('Verifying token...');
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log('Token decoded successfully, user ID:', decoded.id);
-
-    console.log('Finding user in database...');
-    req.user = await User.findById(decoded.id);
-    console.log('User found:', !!req.user, 'Role:', req.user?.role);
-    
+    const result = await verifyAccessToken(token);
+
+    if (result.failure) {
+      return res.status(result.failure.status).json({
+        status: 'error',
+        code: result.failure.code,
+        message: result.failure.message
+      });
+    }
+
+    req.user = result.user;
+    req.sessionId = result.sessionId;
     next();
   } catch (err) {
     console.error('Auth middleware error:', err);
@@ -42,35 +138,47 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
-exports.authorize = (...roles) => {
+// Grant access to users holding any of the given permissions (see config/roles.js)
+exports.requirePermission = (...permissions) => {
   return (req, res, next) => {
-    console.log('Auth middleware - authorize called');
-    console.log('Required roles:', roles);
-    console.log('User role:', req.user?.role);
-    console.log('User object:', req.user);
-    
     if (!req.user) {
-      console.log('No user found in request');
       return res.status(403).json({
         status: 'error',
         message: 'User not found'
       });
     }
     
-    if (!roles.includes(req.user.role)) {
-      console.log('User role not authorized');
+    if (!permissions.some((permission) => req.user.hasPermission(permission))) {
       return res.status(403).json({
         status: 'error',
         message: `User role ${req.user.role} is not authorized to access this route`
       });
     }
     
-    console.log('User authorized successfully');
+    if (req.user.requiresTwoFactorSetup()) {
+      return res.status(403).json({
+        status: 'error',
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Two-factor authentication must be enabled to access this route'
+      });
+    }
+
     next();
   };
 };
 
+// Refuse API keys on routes that act on a personal account (profile, likes...)
+exports.rejectApiKeys = (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('ApiKey ')) {
+    return res.status(403).json({
+      status: 'error',
+      code: 'API_KEY_NOT_ALLOWED',
+      message: 'API keys cannot be used on this route'
+    });
+  }
+  next();
+};
+
 // Optional auth - doesn't fail if no token
 exports.optionalAuth = async (req, res, next) => {
   let token;
@@ -81,13 +189,14 @@ exports.optionalAuth = async (req, res, next) => {
 
   if (token) {
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id);
+      const result = await verifyAccessToken(token);
+      // An unusable token is treated as anonymous rather than failing the request
+      req.user = result.failure ? null : result.user;
+      req.sessionId = result.failure ? undefined : result.sessionId;
     } catch (err) {
-      // Token is invalid, but we don't fail the request
       req.user = null;
     }
   }
 
   next();
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_KEY_SCOPE_NAMES, scopePermissions } = require('../config/roles');
+
+const KEY_PREFIX = 'w3v';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a name for the API key'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Public identifier embedded in the key, used for lookup and display
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPE_NAMES
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Request principal used in place of a user document when a route is called
+// with this key. Actions are attributed to the key and its creator, and the
+// key never grants more than the creator's role currently allows.
+apiKeySchema.methods.toPrincipal = function(creator) {
+  const permissions = scopePermissions(this.scopes).filter((permission) => creator.hasPermission(permission));
+  return {
+    _id: creator._id,
+    id: creator._id.toString(),
+    name: `API key: ${this.name}`,
+    role: 'api-key',
+    isApiKey: true,
+    apiKeyId: this._id.toString(),
+    hasPermission: (permission) => permissions.includes(permission),
+    getPermissions: () => [...permissions],
+    requiresTwoFactorSetup: () => false
+  };
+};
+
+// Create a key, returns the document and the raw key (only ever shown once)
+apiKeySchema.statics.generate = async function({ name, scopes, createdBy, expiresAt }) {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+  const rawKey = `${KEY_PREFIX}_${prefix}_${secret}`;
+
+  const apiKey = await this.create({
+    name,
+    prefix,
+    keyHash: hashKey(rawKey),
+    scopes,
+    createdBy,
+    expiresAt
+  });
+
+  return { apiKey, rawKey };
+};
+
+// Resolve a raw key to an active ApiKey document, or null
+apiKeySchema.statics.findByRawKey = async function(rawKey) {
+  const match = /^([a-z0-9]+)_([a-f0-9]{8})_([a-f0-9]{64})$/.exec(String(rawKey || ''));
+  if (!match || match[1] !== KEY_PREFIX) return null;
+
+  const apiKey = await this.findOne({ prefix: match[2] }).select('+keyHash');
+  if (!apiKey || !apiKey.isActive) return null;
+
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const actual = Buffer.from(hashKey(rawKey), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  return apiKey;
+};
+
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
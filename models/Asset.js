@@ -17,6 +17,8 @@ const AssetSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+AssetSchema.index({ key: 'text', alt: 'text' }); // For site search
+
 module.exports = mongoose.model('Asset', AssetSchema);
 
 
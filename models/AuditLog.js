@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One entry per privileged mutation, written by middleware/audit.js
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorName: {
+    type: String
+  },
+  actorRole: {
+    type: String
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  entity: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: String
+  },
+  // { field: { from, to } } for every field the mutation changed
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  requestId: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const BlogRevision = require('./BlogRevision');
+const { CONTENT_FORMATS, renderContent, plainText, truncateText } = require('../utils/renderContent');
+const { summarize } = require('../utils/contentStats');
+
+const WORDS_PER_MINUTE = 200;
+
+const SEARCH_INDEX_NAME = 'blog_search';
+
+const slugify = (text) => text
+  .toLowerCase()
+  .replace(/[^a-z0-9\s-]/g, '')
+  .replace(/\s+/g, '-')
+  .replace(/-+/g, '-')
+  .replace(/^-+|-+$/g, '');
 
 const blogSchema = new mongoose.Schema({
   title: {
@@ -12,15 +27,44 @@ const blogSchema = new mongoose.Schema({
     unique: true,
     required: true
   },
+  // A pinned slug no longer follows title changes
+  slugLocked: {
+    type: Boolean,
+    default: false
+  },
+  // Slugs this post was reachable under before, so old links can redirect
+  previousSlugs: [{
+    type: String
+  }],
+  // Source as authored: Markdown, or block JSON serialised to a string
   content: {
     type: String,
     required: [true, 'Please provide blog content']
   },
+  contentFormat: {
+    type: String,
+    enum: CONTENT_FORMATS,
+    default: 'markdown'
+  },
+  // Sanitised HTML and table of contents rendered from content on save
+  contentHtml: {
+    type: String
+  },
+  toc: [{
+    _id: false,
+    id: String,
+    text: String,
+    level: Number
+  }],
+  // Generated from the content when left empty
   excerpt: {
     type: String,
-    required: [true, 'Please provide a blog excerpt'],
     maxlength: [200, 'Excerpt cannot be more than 200 characters']
   },
+  excerptGenerated: {
+    type: Boolean,
+    default: false
+  },
   featuredImage: {
     type: String,
     default: '/uploads/default-blog-image.jpg'
@@ -30,22 +74,11 @@ const blogSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Name of a Category; checked against the collection when posts are written
   category: {
     type: String,
     required: [true, 'Please provide a category'],
-    enum: [
-      'Technology',
-      'Design',
-      'Development',
-      'NFT',
-      'Metaverse',
-      'AI/ML',
-      'Mobile',
-      'Web',
-      'Gaming',
-      'AR/VR',
-      'Other'
-    ]
+    trim: true
   },
   tags: [{
     type: String,
@@ -53,16 +86,46 @@ const blogSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: ['draft', 'in_review', 'approved', 'scheduled', 'published', 'archived'],
     default: 'draft'
   },
+  // Review workflow, see POST /api/blog/:id/reviews
+  reviewers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  submittedAt: {
+    type: Date
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  // When a scheduled post goes live, and optionally when it is taken down again
+  publishAt: {
+    type: Date
+  },
+  unpublishAt: {
+    type: Date
+  },
+  publishedAt: {
+    type: Date
+  },
   isFeatured: {
     type: Boolean,
     default: false
   },
+  // Computed from the content whenever it changes
+  wordCount: {
+    type: Number,
+    default: 0
+  },
   readTime: {
     type: Number,
-    default: 5
+    default: 1
   },
   views: {
     type: Number,
@@ -72,20 +135,11 @@ const blogSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    comment: {
-      type: String,
-      required: true
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  // Approved comments, kept in step by Comment.refreshBlogCounts()
+  commentCount: {
+    type: Number,
+    default: 0
+  },
   seoTitle: {
     type: String,
     maxlength: [60, 'SEO title cannot be more than 60 characters']
@@ -94,6 +148,10 @@ const blogSchema = new mongoose.Schema({
     type: String,
     maxlength: [160, 'SEO description cannot be more than 160 characters']
   },
+  seoDescriptionGenerated: {
+    type: Boolean,
+    default: false
+  },
   seoKeywords: [{
     type: String,
     trim: true
@@ -102,24 +160,195 @@ const blogSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Create slug from title before validation so 'required' passes
+// Remember the stored slug so a change can be recorded in previousSlugs
+blogSchema.post('init', function() {
+  this.$locals.storedSlug = this.slug;
+});
+
+blogSchema.post('save', function() {
+  this.$locals.storedSlug = this.slug;
+});
+
+// Create slug from title before validation so 'required' passes. Pinned slugs
+// are left alone; a replaced slug is kept in previousSlugs.
 blogSchema.pre('validate', function(next) {
-  if (this.title && (this.isModified('title') || !this.slug)) {
-    this.slug = this.title
-      .toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .replace(/^-+|-+$/g, '');
+  if (this.title && !this.slugLocked &&
+    (this.isModified('title') || this.isModified('slugLocked') || !this.slug)) {
+    this.slug = slugify(this.title);
+  }
+
+  const storedSlug = this.$locals.storedSlug;
+  if (storedSlug && storedSlug !== this.slug) {
+    this.previousSlugs = [
+      ...this.previousSlugs.filter((slug) => slug !== this.slug && slug !== storedSlug),
+      storedSlug
+    ];
   }
   next();
 });
 
-// Virtual for comment count
-blogSchema.virtual('commentCount').get(function() {
-  return this.comments.length;
+// Render content to sanitised HTML and build the table of contents
+blogSchema.methods.renderContent = function() {
+  const { html, toc } = renderContent(this.content, this.contentFormat);
+  this.contentHtml = html;
+  this.toc = toc;
+};
+
+// Re-render whenever the source changes (or was never rendered)
+blogSchema.pre('validate', function(next) {
+  if (this.content && (this.isModified('content') || this.isModified('contentFormat') || this.contentHtml == null)) {
+    try {
+      this.renderContent();
+    } catch (err) {
+      this.invalidate('content', err.message);
+    }
+  }
+  next();
 });
 
+// Word count, reading time, and an excerpt and SEO description when none were
+// written. Generated ones follow later content edits; written ones are kept.
+// Only recomputed when their sources change, or for posts saved before they existed.
+const DERIVED_FROM = ['content', 'contentFormat', 'contentHtml', 'excerpt', 'seoDescription'];
+
+blogSchema.pre('validate', function(next) {
+  if (this.contentHtml == null) return next();
+  if (!DERIVED_FROM.some((field) => this.isModified(field)) && !this.$isDefault('wordCount')) {
+    return next();
+  }
+
+  const text = plainText(this.contentHtml);
+  this.wordCount = text ? text.split(' ').length : 0;
+  this.readTime = Math.max(1, Math.ceil(this.wordCount / WORDS_PER_MINUTE));
+
+  const contentChanged = this.isModified('content') || this.isModified('contentFormat');
+
+  if (this.isModified('excerpt') && this.excerpt) {
+    this.excerptGenerated = false;
+  } else if (!this.excerpt || (this.excerptGenerated && contentChanged)) {
+    this.excerpt = truncateText(text, 200);
+    this.excerptGenerated = true;
+  }
+
+  if (this.isModified('seoDescription') && this.seoDescription) {
+    this.seoDescriptionGenerated = false;
+  } else if (!this.seoDescription ||
+    (this.seoDescriptionGenerated && (contentChanged || this.isModified('excerpt')))) {
+    this.seoDescription = truncateText(this.excerpt || text, 160);
+    this.seoDescriptionGenerated = true;
+  }
+
+  next();
+});
+
+// Every write that changes a field tracked by BlogRevision snapshots the post.
+// Saves are attributed to the editor set with blog.editedBy(id), query updates
+// to the one set with the editedBy(id) query helper; without one the change is
+// recorded as made by the system (e.g. the publishing scheduler).
+blogSchema.methods.editedBy = function(editorId, { restoredFrom } = {}) {
+  this.$locals.revision = { editor: editorId, restoredFrom };
+  return this;
+};
+
+blogSchema.query.editedBy = function(editorId) {
+  this._revisionEditor = editorId;
+  return this;
+};
+
+blogSchema.post('save', async function() {
+  const { editor, restoredFrom } = this.$locals.revision || {};
+  this.$locals.revision = null;
+  await BlogRevision.record(this, editor, { restoredFrom });
+});
+
+const touchesSnapshotFields = (update) => Object.entries(update || {}).some(([key, value]) =>
+  (key.startsWith('$') ? Object.keys(value || {}) : [key])
+    .some((path) => BlogRevision.SNAPSHOT_FIELDS.includes(path.split('.')[0])));
+
+// The filter may stop matching once the update is applied, so the affected
+// posts are looked up first. Counter updates (views, likes) are skipped.
+blogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], async function() {
+  if (!touchesSnapshotFields(this.getUpdate())) return;
+  const affected = this.model.find(this.getFilter()).select('_id').lean();
+  if (this.op !== 'updateMany') affected.limit(1);
+  this._revisionBlogIds = (await affected).map((blog) => blog._id);
+});
+
+blogSchema.post(['updateOne', 'updateMany', 'findOneAndUpdate'], async function() {
+  if (!this._revisionBlogIds || !this._revisionBlogIds.length) return;
+  const blogs = await this.model.find({ _id: { $in: this._revisionBlogIds } });
+  for (const blog of blogs) {
+    await BlogRevision.record(blog, this._revisionEditor);
+  }
+});
+
+// Query conditions for posts visible to the public right now. Also checks the
+// dates so nothing leaks between a post coming due and the scheduler running.
+blogSchema.statics.publishedFilter = function(now = new Date()) {
+  return {
+    status: 'published',
+    publishAt: { $not: { $gt: now } },
+    unpublishAt: { $not: { $lte: now } }
+  };
+};
+
+// { count, lastmod } of the published posts. Caches built from published posts
+// compare it to tell when they are stale.
+blogSchema.statics.publishedStats = function() {
+  return summarize(this, this.publishedFilter());
+};
+
+// Signed token letting anyone holding it read this post before it is published
+blogSchema.methods.getPreviewToken = function(expiresInHours) {
+  return jwt.sign(
+    { blog: this._id, purpose: 'blog-preview' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${expiresInHours}h` }
+  );
+};
+
+// Blog id a preview token was issued for, null if invalid or expired
+blogSchema.statics.verifyPreviewToken = function(token) {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === 'blog-preview' ? decoded.blog : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Fill in rendered HTML, word count, reading time and generated excerpts for
+// posts saved before these were computed. Returns how many were updated.
+blogSchema.statics.backfillDerivedFields = async function() {
+  let updated = 0;
+  const cursor = this.find({ wordCount: { $exists: false } }).cursor();
+  for await (const blog of cursor) {
+    try {
+      // Not an edit, so leave updatedAt alone
+      await blog.save({ timestamps: false });
+      updated += 1;
+    } catch (error) {
+      console.error('Blog backfill error:', blog._id.toString(), error.message);
+    }
+  }
+  return updated;
+};
+
+// A collection has at most one text index and its weights cannot be changed in
+// place, so drop one left over from an older definition before building ours.
+// Returns how many were dropped.
+blogSchema.statics.syncSearchIndex = async function() {
+  const indexes = await this.collection.indexes().catch(() => []);
+  const stale = indexes.filter((index) => index.key._fts === 'text' && index.name !== SEARCH_INDEX_NAME);
+  for (const index of stale) {
+    await this.collection.dropIndex(index.name);
+  }
+  if (stale.length) {
+    await this.createIndexes();
+  }
+  return stale.length;
+};
+
 // Virtual for like count
 blogSchema.virtual('likeCount').get(function() {
   return this.likes.length;
@@ -133,7 +362,15 @@ blogSchema.set('toObject', { virtuals: true });
 blogSchema.index({ status: 1, createdAt: -1 }); // For main blog listing
 blogSchema.index({ category: 1, status: 1, createdAt: -1 }); // For category filtering
 blogSchema.index({ author: 1, status: 1, createdAt: -1 }); // For author filtering
-blogSchema.index({ title: 'text', content: 'text', tags: 'text' }); // For search functionality
+// For search functionality; title and tag matches rank above body matches
+blogSchema.index(
+  { title: 'text', tags: 'text', content: 'text' },
+  { name: SEARCH_INDEX_NAME, weights: { title: 10, tags: 5, content: 1 } }
+);
 blogSchema.index({ slug: 1 }); // For individual blog lookups
+blogSchema.index({ previousSlugs: 1 }); // For redirecting old slugs
+blogSchema.index({ status: 1, publishAt: 1 }); // For the publishing scheduler
+blogSchema.index({ status: 1, unpublishAt: 1 }); // For the publishing scheduler
+blogSchema.index({ status: 1, reviewers: 1, submittedAt: 1 }); // For the review queue
 
 module.exports = mongoose.model('Blog', blogSchema); 
\ No newline at end of file
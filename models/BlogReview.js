@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One entry in a blog's review history: a submission, a comment, an approval
+// or a request for changes
+const blogReviewSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['submit', 'comment', 'approve', 'request_changes'],
+    required: true
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Review comment cannot be more than 5000 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+blogReviewSchema.index({ blog: 1, createdAt: 1 });
+
+module.exports = mongoose.model('BlogReview', blogReviewSchema);
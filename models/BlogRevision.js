@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Content fields captured in every revision, and restored from one
+const REVISION_FIELDS = ['title', 'content', 'contentFormat', 'excerpt', 'seoTitle', 'seoDescription', 'seoKeywords'];
+
+// Also captured so status, slug and taxonomy changes show up in the history,
+// but never restored: those follow the review workflow and their own endpoints
+const SNAPSHOT_FIELDS = [...REVISION_FIELDS, 'status', 'slug', 'category', 'tags'];
+
+const blogRevisionSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  title: String,
+  content: String,
+  contentFormat: String,
+  excerpt: String,
+  seoTitle: String,
+  seoDescription: String,
+  seoKeywords: [String],
+  status: String,
+  slug: String,
+  category: String,
+  tags: [String],
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  restoredFrom: {
+    type: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+blogRevisionSchema.index({ blog: 1, revision: -1 }, { unique: true });
+
+const pickFields = (source) => Object.fromEntries(
+  SNAPSHOT_FIELDS.map((field) => [field, source[field]])
+);
+
+// Snapshot the blog's current state. Skipped when nothing tracked changed
+// since the latest revision; older revisions beyond BLOG_REVISION_LIMIT are pruned.
+// Called by the Blog model after every write (see models/Blog.js).
+// Concurrent writes to one post can race for the next revision number; the
+// loser re-reads the latest revision and tries again.
+blogRevisionSchema.statics.record = async function(blog, editorId, { restoredFrom } = {}) {
+  const fields = pickFields(blog);
+
+  let revision;
+  for (let attempt = 1; !revision; attempt++) {
+    const latest = await this.findOne({ blog: blog._id }).sort({ revision: -1 });
+    if (latest && restoredFrom === undefined &&
+      JSON.stringify(pickFields(latest)) === JSON.stringify(fields)) {
+      return latest;
+    }
+
+    try {
+      revision = await this.create({
+        blog: blog._id,
+        revision: latest ? latest.revision + 1 : 1,
+        ...fields,
+        editor: editorId,
+        restoredFrom
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 3) throw error;
+    }
+  }
+
+  const limit = parseInt(process.env.BLOG_REVISION_LIMIT, 10) || 50;
+  const stale = await this.find({ blog: blog._id })
+    .sort({ revision: -1 })
+    .skip(limit)
+    .select('_id');
+  if (stale.length) {
+    await this.deleteMany({ _id: { $in: stale.map((doc) => doc._id) } });
+  }
+
+  return revision;
+};
+
+blogRevisionSchema.statics.REVISION_FIELDS = REVISION_FIELDS;
+blogRevisionSchema.statics.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS;
+
+module.exports = mongoose.model('BlogRevision', blogRevisionSchema);
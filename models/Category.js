@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Categories posts could use before they were managed in the database
+const DEFAULT_CATEGORIES = [
+  'Technology',
+  'Design',
+  'Development',
+  'NFT',
+  'Metaverse',
+  'AI/ML',
+  'Mobile',
+  'Web',
+  'Gaming',
+  'AR/VR',
+  'Other'
+];
+
+const slugify = (text) => text
+  .toLowerCase()
+  .replace(/[^a-z0-9\s/-]/g, '')
+  .replace(/[\s/]+/g, '-')
+  .replace(/-+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Posts store the category name, so renaming one rewrites its posts
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a category name'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Category name cannot be more than 50 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-f]{6}$/i, 'Color must be a hex value such as #1a2b3c']
+  },
+  seoTitle: {
+    type: String,
+    maxlength: [60, 'SEO title cannot be more than 60 characters']
+  },
+  seoDescription: {
+    type: String,
+    maxlength: [160, 'SEO description cannot be more than 160 characters']
+  },
+  // Lower comes first in listings
+  order: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Slug from the name unless one was given, numbered when already taken
+categorySchema.pre('validate', async function(next) {
+  if (this.slug && this.isModified('slug')) return next();
+  if (this.slug && !this.isModified('name')) return next();
+
+  const base = slugify(this.name || '') || 'category';
+  let slug = base;
+  for (let n = 2; await this.constructor.exists({ slug, _id: { $ne: this._id } }); n++) {
+    slug = `${base}-${n}`;
+  }
+  this.slug = slug;
+  next();
+});
+
+categorySchema.index({ order: 1, name: 1 }); // For listings
+
+// Create the default categories plus any still used by posts, so existing
+// posts stay valid. Does nothing once a category exists. Returns how many
+// were created.
+categorySchema.statics.seedDefaults = async function() {
+  if (await this.exists({})) return 0;
+
+  const Blog = mongoose.model('Blog');
+  const used = await Blog.distinct('category');
+  const names = [...new Set([...DEFAULT_CATEGORIES, ...used.filter(Boolean)])];
+  for (const [order, name] of names.entries()) {
+    await this.create({ name, order });
+  }
+  return names.length;
+};
+
+module.exports = mongoose.model('Category', categorySchema);
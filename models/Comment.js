@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+const COMMENT_STATUSES = ['pending', 'approved', 'spam', 'rejected'];
+
+// Replies to a comment at this depth are attached to its parent instead
+const MAX_DEPTH = 3;
+
+const commentSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  // Null once the author's account has been deleted
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Comment cannot be more than 500 characters']
+  },
+  status: {
+    type: String,
+    enum: COMMENT_STATUSES,
+    default: 'pending'
+  },
+  // Offline spam scoring, see utils/commentSpam.js
+  spamScore: {
+    type: Number,
+    default: 0
+  },
+  spamReasons: [{
+    _id: false,
+    check: String,
+    score: Number,
+    detail: String
+  }],
+  // Hash of the normalised text, for duplicate detection
+  contentHash: {
+    type: String
+  },
+  editedAt: {
+    type: Date
+  },
+  // Deleted comments with replies keep their place in the thread without their text
+  deletedAt: {
+    type: Date
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ blog: 1, parent: 1, status: 1, createdAt: 1 }); // For thread loading
+commentSchema.index({ status: 1, createdAt: 1 }); // For the moderation queue
+commentSchema.index({ user: 1, createdAt: -1 }); // For a user's comments and posting velocity
+commentSchema.index({ contentHash: 1, createdAt: -1 }); // For duplicate detection
+
+// Conditions for comments a viewer may see: approved ones, plus their own
+// pending ones (spam included, it is shown to its sender as pending)
+commentSchema.statics.visibleTo = function(user) {
+  return user
+    ? { $or: [{ status: 'approved' }, { status: { $in: ['pending', 'spam'] }, user: user._id }] }
+    : { status: 'approved' };
+};
+
+// Store the approved comment count on each blog, so lists need no lookup
+commentSchema.statics.refreshBlogCounts = async function(blogIds) {
+  const Blog = mongoose.model('Blog');
+  for (const blogId of new Set(blogIds.map(String))) {
+    const commentCount = await this.countDocuments({
+      blog: blogId,
+      status: 'approved',
+      deletedAt: { $exists: false }
+    });
+    await Blog.updateOne({ _id: blogId }, { commentCount }, { timestamps: false });
+  }
+};
+
+// Ids of the given comments and every reply beneath them
+commentSchema.statics.withDescendants = async function(ids) {
+  const all = [...ids];
+  let level = ids;
+  while (level.length) {
+    const children = await this.find({ parent: { $in: level } }).select('_id');
+    level = children.map((child) => child._id);
+    all.push(...level);
+  }
+  return all;
+};
+
+// Move comments embedded in blog documents (before this collection existed)
+// into it, keeping their ids and dates. Returns how many were moved.
+commentSchema.statics.migrateEmbeddedComments = async function() {
+  const Blog = mongoose.model('Blog');
+  const blogs = Blog.collection.find(
+    { 'comments.0': { $exists: true } },
+    { projection: { comments: 1 } }
+  );
+
+  let moved = 0;
+  for await (const blog of blogs) {
+    const docs = blog.comments.map((comment) => ({
+      _id: comment._id,
+      blog: blog._id,
+      user: comment.user || null,
+      parent: null,
+      depth: 0,
+      comment: comment.comment,
+      status: 'approved',
+      createdAt: comment.createdAt || new Date(),
+      updatedAt: comment.createdAt || new Date()
+    }));
+
+    try {
+      await this.collection.insertMany(docs, { ordered: false });
+    } catch (error) {
+      // Already moved by an earlier, interrupted run
+      const writeErrors = error.writeErrors || [error];
+      if (!writeErrors.every((writeError) => writeError.code === 11000)) throw error;
+    }
+
+    await Blog.collection.updateOne({ _id: blog._id }, { $unset: { comments: '' } });
+    await this.refreshBlogCounts([blog._id]);
+    moved += docs.length;
+  }
+  return moved;
+};
+
+commentSchema.statics.COMMENT_STATUSES = COMMENT_STATUSES;
+commentSchema.statics.MAX_DEPTH = MAX_DEPTH;
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A session represents one login (a refresh token "family"). The refresh token
+// is rotated on every use; only the hash of the current one is stored, so any
+// other token presented for this session is treated as reuse.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse', 'expired']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB clean up sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshTokenLifetimeMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Issue a fresh refresh token for this session, returns the raw token
+sessionSchema.methods.rotateRefreshToken = function() {
+  const secret = crypto.randomBytes(40).toString('hex');
+  this.refreshTokenHash = hashToken(secret);
+  this.lastUsedAt = new Date();
+  return `${this._id}.${secret}`;
+};
+
+// Check a presented refresh token secret against the current one
+sessionSchema.methods.matchRefreshSecret = function(secret) {
+  const expected = Buffer.from(this.refreshTokenHash, 'hex');
+  const actual = Buffer.from(hashToken(secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+sessionSchema.methods.revoke = function(reason = 'revoked') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+// Start a new session for a user, returns the session and its raw refresh token
+sessionSchema.statics.start = async function(user, { ip = '', userAgent = '' } = {}) {
+  const session = new this({
+    user: user._id,
+    expiresAt: new Date(Date.now() + refreshTokenLifetimeMs()),
+    ip,
+    userAgent
+  });
+  const refreshToken = session.rotateRefreshToken();
+  await session.save();
+  return { session, refreshToken };
+};
+
+// Revoke every active session of a user, optionally keeping one (e.g. the current)
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'revoked', exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(
+    filter,
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Split a raw refresh token into its session id and secret
+sessionSchema.statics.parseRefreshToken = function(token) {
+  if (typeof token !== 'string') return null;
+  const [sessionId, secret] = token.split('.');
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+sessionSchema.set('toJSON', { virtuals: true });
+sessionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Session', sessionSchema);
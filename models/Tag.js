@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+// Tag names are compared case-insensitively
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+const slugify = (text) => text
+  .toLowerCase()
+  .replace(/\+/g, ' plus ')
+  .replace(/#/g, ' sharp ')
+  .replace(/[^a-z0-9\s-]/g, '')
+  .replace(/\s+/g, '-')
+  .replace(/-+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Posts keep their tags as plain names. Tags used on a post are registered
+// here automatically; renaming, merging or deleting one rewrites its posts.
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a tag name'],
+    trim: true
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-f]{6}$/i, 'Color must be a hex value such as #1a2b3c']
+  },
+  seoTitle: {
+    type: String,
+    maxlength: [60, 'SEO title cannot be more than 60 characters']
+  },
+  seoDescription: {
+    type: String,
+    maxlength: [160, 'SEO description cannot be more than 160 characters']
+  },
+  // Lower comes first in listings
+  order: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Slug from the name unless one was given, numbered when already taken
+tagSchema.pre('validate', async function(next) {
+  if (this.slug && this.isModified('slug')) return next();
+  if (this.slug && !this.isModified('name')) return next();
+
+  const base = slugify(this.name || '') || 'tag';
+  let slug = base;
+  for (let n = 2; await this.constructor.exists({ slug, _id: { $ne: this._id } }); n++) {
+    slug = `${base}-${n}`;
+  }
+  this.slug = slug;
+  next();
+});
+
+tagSchema.index({ name: 1 }, { unique: true, collation: CASE_INSENSITIVE });
+tagSchema.index({ order: 1, name: 1 }); // For listings
+
+// Find a tag by name, ignoring case
+tagSchema.statics.findByName = function(name) {
+  return this.findOne({ name: String(name).trim() }).collation(CASE_INSENSITIVE);
+};
+
+// Create tags for names not registered yet. Returns how many were created.
+tagSchema.statics.registerNames = async function(names) {
+  const wanted = new Map();
+  (names || []).forEach((name) => {
+    const trimmed = String(name || '').trim();
+    if (trimmed && !wanted.has(trimmed.toLowerCase())) wanted.set(trimmed.toLowerCase(), trimmed);
+  });
+  if (!wanted.size) return 0;
+
+  const existing = await this.find({ name: { $in: [...wanted.values()] } })
+    .collation(CASE_INSENSITIVE)
+    .select('name')
+    .lean();
+  existing.forEach((tag) => wanted.delete(tag.name.toLowerCase()));
+
+  let created = 0;
+  for (const name of wanted.values()) {
+    try {
+      await this.create({ name });
+      created += 1;
+    } catch (error) {
+      // Registered meanwhile by another request
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return created;
+};
+
+// Replace the named tags on every post with toName, or remove them when toName
+// is null. Duplicates left behind are dropped. editorId is recorded on the
+// posts' revisions. Returns how many posts changed.
+tagSchema.statics.rewritePosts = async function(fromNames, toName, editorId) {
+  const Blog = mongoose.model('Blog');
+  const from = new Set(fromNames.map((name) => name.toLowerCase()));
+  const blogs = Blog.find({ tags: { $in: fromNames } })
+    .collation(CASE_INSENSITIVE)
+    .select('tags')
+    .cursor();
+
+  let changed = 0;
+  for await (const blog of blogs) {
+    const seen = new Set();
+    const tags = [];
+    blog.tags.forEach((tag) => {
+      const next = from.has(tag.toLowerCase()) ? toName : tag;
+      if (next && !seen.has(next.toLowerCase())) {
+        seen.add(next.toLowerCase());
+        tags.push(next);
+      }
+    });
+    await Blog.updateOne({ _id: blog._id }, { tags }).editedBy(editorId);
+    changed += 1;
+  }
+  return changed;
+};
+
+tagSchema.statics.CASE_INSENSITIVE = CASE_INSENSITIVE;
+
+module.exports = mongoose.model('Tag', tagSchema);
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { ROLE_NAMES, permissionsFor, roleHasPermission } = require('../config/roles');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -27,7 +30,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLE_NAMES,
     default: 'user'
   },
   avatar: {
@@ -44,26 +47,103 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
+  },
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  googleId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorBackupCodes: {
+    type: [String],
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  deletionScheduledFor: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
+// Invalidate issued access tokens when credentials, role or status change
+userSchema.pre('save', function(next) {
+  if (this.isNew) return next();
+  if (this.isModified('password')) {
+    this.passwordChangedAt = new Date();
+  }
+  if (this.isModified('password') || this.isModified('role') || this.isModified('isActive')) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+  next();
+});
+
 // Encrypt password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-userSchema.methods.getSignedJwtToken = function() {
+// Sign a short-lived access token bound to a session and return it
+userSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
-    { id: this._id, role: this.role },
+    { id: this._id, role: this.role, sid: sessionId, tv: this.tokenVersion },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
   );
 };
 
@@ -72,4 +152,127 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
+// Hash a one-time token the same way it is stored
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a password reset token, store its hash and return the raw token
+userSchema.methods.getResetPasswordToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = this.constructor.hashToken(token);
+  this.resetPasswordExpire = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+  return token;
+};
+
+// Generate an email verification token, store its hash and return the raw token
+userSchema.methods.getEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpire = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  return token;
+};
+
+// Permissions granted by the user's role
+userSchema.methods.getPermissions = function() {
+  return permissionsFor(this.role);
+};
+
+userSchema.methods.hasPermission = function(permission) {
+  return roleHasPermission(this.role, permission);
+};
+
+const maxLoginAttempts = () => parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5;
+
+// Whether login is currently blocked for this account. Returns null, or
+// { locked, retryAfter } where locked distinguishes a lockout from a short delay.
+userSchema.methods.getLoginBlock = function() {
+  if (!this.lockUntil || this.lockUntil <= new Date()) return null;
+  return {
+    locked: this.failedLoginAttempts >= maxLoginAttempts(),
+    retryAfter: Math.ceil((this.lockUntil.getTime() - Date.now()) / 1000)
+  };
+};
+
+// Record a failed login atomically and apply progressive delay / lockout.
+// From the 3rd failure each attempt waits twice as long (2s, 4s, ...), and
+// reaching MAX_LOGIN_ATTEMPTS locks the account for ACCOUNT_LOCK_MINUTES.
+userSchema.statics.registerFailedLogin = async function(userId) {
+  const lockMinutes = parseInt(process.env.ACCOUNT_LOCK_MINUTES, 10) || 15;
+
+  const user = await this.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+  if (!user) return null;
+
+  const attempts = user.failedLoginAttempts;
+  let delayMs = 0;
+  if (attempts >= maxLoginAttempts()) {
+    delayMs = lockMinutes * 60 * 1000;
+  } else if (attempts >= 3) {
+    delayMs = 2 ** (attempts - 2) * 1000;
+  }
+
+  if (delayMs) {
+    user.lockUntil = new Date(Date.now() + delayMs);
+    await this.updateOne({ _id: userId }, { lockUntil: user.lockUntil });
+  }
+  return user;
+};
+
+// Clear failed login tracking after a successful login or an admin unlock
+userSchema.statics.resetLoginAttempts = function(userId) {
+  return this.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } }
+  );
+};
+
+// Whether the user must enrol in 2FA before using admin routes (REQUIRE_ADMIN_2FA)
+userSchema.methods.requiresTwoFactorSetup = function() {
+  return this.role === 'admin' &&
+    process.env.REQUIRE_ADMIN_2FA === 'true' &&
+    !this.twoFactorEnabled;
+};
+
+// Short-lived token proving the password step of a two-step login
+userSchema.methods.getTwoFactorChallengeToken = function() {
+  return jwt.sign(
+    { id: this._id, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Replace the backup codes, store their hashes and return the raw codes
+userSchema.methods.generateBackupCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  this.twoFactorBackupCodes = codes.map((code) => this.constructor.hashToken(code));
+  return codes;
+};
+
+// Check a TOTP or backup code (requires the 2FA fields to be selected).
+// Consumes the code on success; returns 'totp', 'backup' or null. Caller saves.
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  const step = totp.verify(code, this.twoFactorSecret);
+  if (step !== null && step > (this.twoFactorLastUsedStep ?? -1)) {
+    this.twoFactorLastUsedStep = step;
+    return 'totp';
+  }
+
+  const hashed = this.constructor.hashToken(String(code || '').trim().toLowerCase());
+  const index = (this.twoFactorBackupCodes || []).indexOf(hashed);
+  if (index > -1) {
+    this.twoFactorBackupCodes.splice(index, 1);
+    return 'backup';
+  }
+
+  return null;
+};
+
+module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { summarize } = require('../utils/contentStats');
 
 const jobSchema = new mongoose.Schema(
   {
@@ -163,6 +164,11 @@ try {
   // Index might already exist, ignore error
 }
 
+// { count, lastmod } of the active jobs, for caches built from them
+jobSchema.statics.activeStats = function() {
+  return summarize(this, { isActive: true });
+};
+
 // Virtual for formatted salary range
 jobSchema.virtual('salaryRange').get(function() {
   if (!this.salary || (!this.salary.min && !this.salary.max)) return 'Not specified';
@@ -0,0 +1,123 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { API_KEY_SCOPE_NAMES } = require('../config/roles');
+
+const router = express.Router();
+
+const loadApiKey = (req, id) => (mongoose.Types.ObjectId.isValid(id) ? ApiKey.findById(id) : null);
+
+// @desc    List API keys
+// @route   GET /api/api-keys
+// @access  Private (apikey:manage)
+router.get('/', protect, requirePermission('apikey:manage'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: apiKeys
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create an API key, the raw key is only returned in this response
+// @route   POST /api/api-keys
+// @access  Private (apikey:manage)
+router.post('/', protect, requirePermission('apikey:manage'), audit('apikey', 'create', { load: loadApiKey }), [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(API_KEY_SCOPE_NAMES)
+    .withMessage(`Scopes must be any of: ${API_KEY_SCOPE_NAMES.join(', ')}`),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('expiresInDays must be between 1 and 3650')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+
+    const { apiKey, rawKey } = await ApiKey.generate({
+      name,
+      scopes: [...new Set(scopes)],
+      createdBy: req.user.id,
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + parseInt(expiresInDays, 10) * 24 * 60 * 60 * 1000)
+        : undefined
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Store this key now, it will not be shown again',
+      key: rawKey,
+      data: apiKey
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Revoke an API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private (apikey:manage)
+router.delete('/:id', protect, requirePermission('apikey:manage'), audit('apikey', 'update', { name: 'apikey.revoke', load: loadApiKey }), async (req, res) => {
+  try {
+    const apiKey = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ApiKey.findById(req.params.id)
+      : null;
+
+    if (!apiKey) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.json({
+      status: 'success',
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,12 @@
 const express = require('express');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const Asset = require('../models/Asset');
 
 const router = express.Router();
 
+const loadAsset = (req) => Asset.findOne({ key: req.params.key });
+
 // @desc Get all assets (public for read)
 // @route GET /api/assets
 router.get('/', async (req, res) => {
@@ -31,8 +34,8 @@ router.get('/:key', async (req, res) => {
 
 // @desc Create or update asset mapping
 // @route PUT /api/assets/:key
-// @access Private (Admin)
-router.put('/:key', protect, authorize('admin'), async (req, res) => {
+// @access Private (assets:write)
+router.put('/:key', protect, requirePermission('assets:write'), audit('asset', 'update', { load: loadAsset }), async (req, res) => {
   try {
     const { url, alt = '' } = req.body;
     if (!url) return res.status(400).json({ status: 'error', message: 'url is required' });
@@ -51,8 +54,8 @@ router.put('/:key', protect, authorize('admin'), async (req, res) => {
 
 // @desc Delete asset mapping
 // @route DELETE /api/assets/:key
-// @access Private (Admin)
-router.delete('/:key', protect, authorize('admin'), async (req, res) => {
+// @access Private (assets:write)
+router.delete('/:key', protect, requirePermission('assets:write'), audit('asset', 'delete', { load: loadAsset }), async (req, res) => {
   try {
     await Asset.deleteOne({ key: req.params.key });
     res.json({ status: 'success', message: 'Asset mapping deleted' });
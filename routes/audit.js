@@ -0,0 +1,78 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @desc    List audit log entries
+// @route   GET /api/audit
+// @access  Private (audit:read)
+// Filters: actor, entity, entityId, action, from, to (ISO dates)
+router.get('/', protect, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (req.query.actor) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.actor)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid actor id'
+        });
+      }
+      query.actor = req.query.actor;
+    }
+
+    if (req.query.entity) query.entity = String(req.query.entity);
+    if (req.query.entityId) query.entityId = String(req.query.entityId);
+    if (req.query.action) query.action = String(req.query.action);
+
+    if (req.query.from || req.query.to) {
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid date range'
+        });
+      }
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-__v');
+
+    const total = await AuditLog.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: entries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
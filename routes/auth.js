@@ -1,10 +1,88 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Blog = require('../models/Blog');
+const Comment = require('../models/Comment');
+const { protect, rejectApiKeys } = require('../middleware/auth');
+const { sendEmail } = require('../utils/mail');
+const emailTemplates = require('../utils/mail/templates');
+const totp = require('../utils/totp');
+const oidc = require('../utils/oidc');
+const { scheduledDeletionDate } = require('../utils/accountDeletion');
+const { frontendUrl } = require('../utils/urls');
 
 const router = express.Router();
 
+// Account endpoints always act on a person, never on an API key
+router.use(rejectApiKeys);
+
+// Start a session for the user, returns the access + refresh token pair
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user, {
+    ip: req.ip,
+    userAgent: req.get('user-agent') || ''
+  });
+  return { token: user.getSignedJwtToken(session._id), refreshToken };
+};
+
+// Start a session for the user and send the access + refresh token pair
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { token, refreshToken } = await startSession(user, req);
+
+  res.status(statusCode).json({
+    status: 'success',
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: user.getPermissions(),
+      avatar: user.avatar,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactorEnabled
+    },
+    twoFactorSetupRequired: user.requiresTwoFactorSetup()
+  });
+};
+
+// Reject a login attempt for an account that is locked or cooling down
+const sendLoginBlocked = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+  return res.status(block.locked ? 423 : 429).json({
+    status: 'error',
+    code: block.locked ? 'ACCOUNT_LOCKED' : 'LOGIN_DELAYED',
+    message: block.locked
+      ? 'Account temporarily locked due to too many failed login attempts'
+      : 'Too many failed login attempts, please wait before trying again',
+    retryAfter: block.retryAfter
+  });
+};
+
+const sendAccountSuspended = (res) => res.status(403).json({
+  status: 'error',
+  code: 'ACCOUNT_SUSPENDED',
+  message: 'Your account has been suspended'
+});
+
+// Count a failed password or 2FA attempt, returns the resulting block if any
+const recordFailedLogin = async (user) => {
+  const updated = await User.registerFailedLogin(user._id);
+  return updated ? updated.getLoginBlock() : null;
+};
+
+// Issue a new verification token for the user and email it
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  await sendEmail(emailTemplates.emailVerification(user, verificationToken));
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -30,39 +108,780 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password } = req.body;
+    const { name, email, password } = req.body;
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User already exists with this email'
+      });
+    }
+
+    // Create user
+    const user = await User.create({
+      name,
+      email,
+      password
+    });
+
+    // A mail failure should not block registration, the user can request a new link
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    await sendTokenResponse(user, 201, req, res);
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Login user
+// @route   POST /api/auth/login
+// @access  Public
+router.post('/login', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .exists()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+
+    // Check for user
+    const user = await User.findOne({ email }).select('+password');
+    if (!user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid credentials'
+      });
+    }
+
+    const block = user.getLoginBlock();
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
+    // Check if password matches
+    const isMatch = await user.matchPassword(password);
+    if (!isMatch) {
+      const failedBlock = await recordFailedLogin(user);
+      if (failedBlock && failedBlock.locked) {
+        return sendLoginBlocked(res, failedBlock);
+      }
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Checked after the password so suspension status is not revealed to guessers
+    if (!user.isActive) {
+      return sendAccountSuspended(res);
+    }
+
+    // Second step required, hand out a challenge instead of a session
+    if (user.twoFactorEnabled) {
+      return res.json({
+        status: 'success',
+        twoFactorRequired: true,
+        challengeToken: user.getTwoFactorChallengeToken()
+      });
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Complete a two-step login with a TOTP or backup code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+router.post('/login/2fa', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== '2fa') {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login challenge is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorBackupCodes');
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    if (!user.isActive) {
+      return sendAccountSuspended(res);
+    }
+
+    const block = user.getLoginBlock();
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      const failedBlock = await recordFailedLogin(user);
+      if (failedBlock && failedBlock.locked) {
+        return sendLoginBlocked(res, failedBlock);
+      }
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.lastLogin = new Date();
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Start two-factor enrolment, returns the secret and otpauth URI
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      status: 'success',
+      data: {
+        secret,
+        otpauthUrl: totp.otpauthUri(secret, user.email)
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Confirm enrolment with a code from the authenticator app
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+router.post('/2fa/confirm', protect, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verify(req.body.code, user.twoFactorPendingSecret);
+    if (step === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    const backupCodes = user.generateBackupCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      status: 'success',
+      message: 'Two-factor authentication enabled',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Regenerate backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+router.post('/2fa/backup-codes', protect, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorBackupCodes');
+
+    if (!user.twoFactorEnabled || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const backupCodes = user.generateBackupCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      status: 'success',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', protect, [
+  body('password')
+    .exists()
+    .withMessage('Password is required'),
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactorSecret +twoFactorLastUsedStep +twoFactorBackupCodes');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.role === 'admin' && process.env.REQUIRE_ADMIN_2FA === 'true') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is required for admin accounts'
+      });
+    }
+
+    if (!(await user.matchPassword(req.body.password)) || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    user.twoFactorBackupCodes = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// ----------------- GOOGLE SIGN-IN (OIDC) -----------------
+const OIDC_COOKIE = 'w3v_oidc';
+
+const googleConfig = () => ({
+  issuer: process.env.GOOGLE_OIDC_ISSUER || 'https://accounts.google.com',
+  clientId: process.env.GOOGLE_CLIENT_ID,
+  clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+  redirectUri: process.env.GOOGLE_REDIRECT_URI ||
+    `${(process.env.BACKEND_URL || '').replace(/\/$/, '')}/auth/google/callback`
+});
+
+// Domains whose verified Google accounts may sign in, linking to or provisioning an account
+const googleAllowedDomains = () => (process.env.GOOGLE_ALLOWED_DOMAINS || '')
+  .split(',')
+  .map((domain) => domain.trim().toLowerCase())
+  .filter(Boolean);
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || '')
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+};
+
+// Hand the outcome back to the frontend in the URL fragment, which never reaches servers or logs
+const redirectToFrontend = (res, params) => {
+  res.redirect(`${frontendUrl()}/auth/callback#${new URLSearchParams(params).toString()}`);
+};
+
+// Find the user for verified Google claims, linking or provisioning as allowed.
+// The domain is checked first, so an address outside GOOGLE_ALLOWED_DOMAINS can
+// neither be linked to an existing account nor sign in through an earlier link.
+const findOrProvisionGoogleUser = async (claims) => {
+  const email = String(claims.email || '').toLowerCase();
+  if (!email || claims.email_verified !== true) return null;
+
+  const domain = email.split('@')[1];
+  if (!googleAllowedDomains().includes(domain)) return null;
+
+  let user = await User.findOne({ googleId: claims.sub });
+  if (user) return user;
+
+  user = await User.findOne({ email });
+  if (user) {
+    user.googleId = claims.sub;
+    user.emailVerified = true;
+    await user.save({ validateBeforeSave: false });
+    return user;
+  }
+
+  return User.create({
+    name: String(claims.name || email.split('@')[0]).slice(0, 50),
+    email,
+    // Never used to log in, but satisfies the schema; a password can be set via reset
+    password: crypto.randomBytes(32).toString('hex'),
+    googleId: claims.sub,
+    emailVerified: true,
+    avatar: claims.picture || '',
+    role: process.env.GOOGLE_PROVISION_ROLE || 'user'
+  });
+};
+
+// @desc    Start Google sign-in
+// @route   GET /api/auth/google
+// @access  Public
+router.get('/google', async (req, res) => {
+  try {
+    const config = googleConfig();
+    if (!config.clientId || !config.clientSecret) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Google sign-in is not configured'
+      });
+    }
+
+    const params = oidc.createLoginParams();
+    const loginState = jwt.sign(
+      { purpose: 'oidc', state: params.state, nonce: params.nonce, codeVerifier: params.codeVerifier },
+      process.env.JWT_SECRET,
+      { expiresIn: '10m' }
+    );
+
+    // Binds the callback to this browser and keeps the PKCE verifier out of the URL
+    res.cookie(OIDC_COOKIE, loginState, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/api/auth/google',
+      maxAge: 10 * 60 * 1000
+    });
+
+    res.redirect(await oidc.buildAuthorizationUrl({ ...config, ...params }));
+  } catch (error) {
+    console.error('Google sign-in start error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Google sign-in callback
+// @route   GET /api/auth/google/callback
+// @access  Public
+router.get('/google/callback', async (req, res) => {
+  try {
+    const cookie = readCookie(req, OIDC_COOKIE);
+    res.clearCookie(OIDC_COOKIE, { path: '/api/auth/google' });
+
+    if (req.query.error) {
+      return redirectToFrontend(res, { error: 'GOOGLE_DENIED' });
+    }
+
+    let loginState;
+    try {
+      loginState = jwt.verify(cookie || '', process.env.JWT_SECRET);
+    } catch (err) {
+      loginState = null;
+    }
+
+    if (!loginState || loginState.purpose !== 'oidc' || loginState.state !== req.query.state || !req.query.code) {
+      return redirectToFrontend(res, { error: 'GOOGLE_STATE_INVALID' });
+    }
+
+    const config = googleConfig();
+    const tokens = await oidc.exchangeCode({
+      ...config,
+      code: req.query.code,
+      codeVerifier: loginState.codeVerifier
+    });
+    const claims = await oidc.verifyIdToken(tokens.id_token, {
+      issuer: config.issuer,
+      audience: config.clientId,
+      nonce: loginState.nonce
+    });
+
+    if (!claims.email || claims.email_verified !== true) {
+      return redirectToFrontend(res, { error: 'GOOGLE_EMAIL_UNVERIFIED' });
+    }
+
+    const user = await findOrProvisionGoogleUser(claims);
+    if (!user) {
+      return redirectToFrontend(res, { error: 'GOOGLE_DOMAIN_NOT_ALLOWED' });
+    }
+
+    if (!user.isActive) {
+      return redirectToFrontend(res, { error: 'ACCOUNT_SUSPENDED' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return redirectToFrontend(res, { challengeToken: user.getTwoFactorChallengeToken() });
+    }
+
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    redirectToFrontend(res, await startSession(user, req));
+  } catch (error) {
+    console.error('Google sign-in callback error:', error);
+    redirectToFrontend(res, { error: 'GOOGLE_SIGN_IN_FAILED' });
+  }
+});
+
+// @desc    Exchange a refresh token for a new access + refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const parsed = Session.parseRefreshToken(req.body.refreshToken);
+    const session = parsed
+      ? await Session.findById(parsed.sessionId).select('+refreshTokenHash')
+      : null;
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
+    if (!session || !session.isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    // A valid session id with a stale secret means a rotated token was replayed,
+    // so the whole session is considered compromised
+    if (!session.matchRefreshSecret(parsed.secret)) {
+      await session.revoke('reuse');
+      console.warn('Refresh token reuse detected, session revoked:', session._id.toString());
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      await session.revoke();
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    if (!user.isActive) {
+      await session.revoke();
+      return sendAccountSuspended(res);
+    }
+
+    const refreshToken = session.rotateRefreshToken();
+    session.rotationCount += 1;
+    await session.save();
+
+    res.json({
+      status: 'success',
+      token: user.getSignedJwtToken(session._id),
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    const session = await Session.findById(req.sessionId);
+    if (session) {
+      await session.revoke('logout');
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    List active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: sessions.map((session) => ({
+        id: session._id,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, user: req.user.id })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke();
+
+    res.json({
+      status: 'success',
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify/:token
+// @access  Public
+router.get('/verify/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token),
+      emailVerificationExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
       return res.status(400).json({
         status: 'error',
-        message: 'User already exists with this email'
+        message: 'Verification link is invalid or has expired'
       });
     }
 
-    // Create user
-    const user = await User.create({
-      name,
-      email,
-      password
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      status: 'success',
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
     });
+  }
+});
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/verify/resend
+// @access  Private
+router.post('/verify/resend', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email is already verified'
+      });
+    }
 
-    // Create token
-    const token = user.getSignedJwtToken();
+    await sendVerificationEmail(user);
 
-    res.status(201).json({
+    res.json({
       status: 'success',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
+      message: 'Verification email sent'
     });
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('Resend verification error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Server error'
@@ -70,17 +889,14 @@ router.post('/register', [
   }
 });
 
-// @desc    Login user
-// @route   POST /api/auth/login
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
 // @access  Public
-router.post('/login', [
+router.post('/forgot-password', [
   body('email')
     .isEmail()
     .normalizeEmail()
-    .withMessage('Please provide a valid email'),
-  body('password')
-    .exists()
-    .withMessage('Password is required')
+    .withMessage('Please provide a valid email')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -91,46 +907,85 @@ router.post('/login', [
       });
     }
 
-    const { email, password } = req.body;
+    const user = await User.findOne({ email: req.body.email });
 
-    // Check for user
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
-      return res.status(401).json({
+    // Same response whether or not the account exists, to avoid leaking emails
+    if (user) {
+      const resetToken = user.getResetPasswordToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await sendEmail(emailTemplates.passwordReset(user, resetToken));
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save({ validateBeforeSave: false });
+        return res.status(500).json({
+          status: 'error',
+          message: 'Email could not be sent'
+        });
+      }
+    }
+
+    res.json({
+      status: 'success',
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Reset password with a token from the reset email
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Invalid credentials'
+        errors: errors.array()
       });
     }
 
-    // Check if password matches
-    const isMatch = await user.matchPassword(password);
-    if (!isMatch) {
-      return res.status(401).json({
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(req.params.token),
+      resetPasswordExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Invalid credentials'
+        message: 'Reset link is invalid or has expired'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    // Receiving the reset link proves ownership of the address
+    user.emailVerified = true;
     await user.save();
 
-    // Create token
-    const token = user.getSignedJwtToken();
+    // Sign out everywhere in case the old password was compromised
+    await Session.revokeAllForUser(user._id);
 
     res.json({
       status: 'success',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        avatar: user.avatar
-      }
+      message: 'Password reset successfully'
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Reset password error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Server error'
@@ -151,8 +1006,12 @@ router.get('/me', protect, async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        permissions: user.getPermissions(),
         avatar: user.avatar,
         bio: user.bio,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        deletionScheduledFor: user.deletionScheduledFor,
         createdAt: user.createdAt
       }
     });
@@ -165,6 +1024,184 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+// @desc    Download a JSON archive of the current user's data
+// @route   GET /api/auth/me/export
+// @access  Private
+router.get('/me/export', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    const userComments = await Comment.find({ user: user._id, deletedAt: { $exists: false } })
+      .populate('blog', 'title slug')
+      .sort({ createdAt: -1 })
+      .lean();
+    const comments = userComments.map((comment) => ({
+      id: comment._id,
+      blog: comment.blog && { id: comment.blog._id, title: comment.blog.title, slug: comment.blog.slug },
+      parent: comment.parent,
+      comment: comment.comment,
+      status: comment.status,
+      createdAt: comment.createdAt,
+      editedAt: comment.editedAt
+    }));
+
+    const likedBlogs = await Blog.find({ likes: user._id })
+      .select('title slug')
+      .lean();
+
+    const sessions = await Session.find({ user: user._id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      profile: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        avatar: user.avatar,
+        bio: user.bio,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        googleLinked: !!user.googleId,
+        lastLogin: user.lastLogin,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+      },
+      comments,
+      likes: likedBlogs.map((blog) => ({ id: blog._id, title: blog.title, slug: blog.slug })),
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        revokedAt: session.revokedAt
+      }))
+    };
+
+    res.set('Content-Disposition', `attachment; filename="we3vision-account-${user._id}.json"`);
+    res.json(archive);
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// How recently a Google account must have signed in to count as re-authenticated
+const REAUTH_WINDOW_MS = 10 * 60 * 1000;
+
+// Confirm the account owner is present for a sensitive action: the password,
+// a two-factor or backup code, or for Google accounts (whose password was
+// generated and never shown) a session started by signing in again just now.
+// Returns null when confirmed, or the error message to send.
+const checkReauthentication = async (user, req) => {
+  const { password, code } = req.body;
+
+  if (password !== undefined) {
+    return (await user.matchPassword(String(password))) ? null : 'Password is incorrect';
+  }
+
+  if (code !== undefined) {
+    if (!user.twoFactorEnabled || !user.verifyTwoFactorCode(String(code))) {
+      return 'Invalid two-factor code';
+    }
+    // Persist the used step or backup code so it cannot be replayed
+    await user.save({ validateBeforeSave: false });
+    return null;
+  }
+
+  if (user.googleId) {
+    const session = await Session.findById(req.sessionId);
+    if (session && Date.now() - session.createdAt.getTime() <= REAUTH_WINDOW_MS) return null;
+    return 'Please sign in with Google again to confirm';
+  }
+
+  return 'Password is required';
+};
+
+// @desc    Request deletion of the current account after a grace period.
+//          Confirm with `password` or a two-factor `code`; Google accounts may
+//          instead sign in with Google again first.
+// @route   DELETE /api/auth/me
+// @access  Private
+router.delete('/me', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactorSecret +twoFactorLastUsedStep +twoFactorBackupCodes');
+
+    const reauthError = await checkReauthentication(user, req);
+    if (reauthError) {
+      return res.status(400).json({
+        status: 'error',
+        code: 'REAUTHENTICATION_REQUIRED',
+        message: reauthError
+      });
+    }
+
+    // Posts need an owner, staff must hand them over before leaving
+    const authoredBlogs = await Blog.countDocuments({ author: user._id });
+    if (authoredBlogs > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Accounts that have authored blogs cannot be deleted, please contact an administrator'
+      });
+    }
+
+    user.deletionScheduledFor = scheduledDeletionDate();
+    await user.save({ validateBeforeSave: false });
+
+    // Sign out other devices; the current session can still cancel the request
+    await Session.revokeAllForUser(user._id, 'revoked', req.sessionId);
+
+    res.json({
+      status: 'success',
+      message: 'Account scheduled for deletion',
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Cancel a pending account deletion
+// @route   POST /api/auth/me/restore
+// @access  Private
+router.post('/me/restore', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Account is not scheduled for deletion'
+      });
+    }
+
+    user.deletionScheduledFor = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      status: 'success',
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Restore account error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
@@ -257,9 +1294,14 @@ router.put('/password', protect, [
     user.password = newPassword;
     await user.save();
 
+    // The password change invalidated every access token; sign out other
+    // sessions and give the current one a fresh token
+    await Session.revokeAllForUser(user._id, 'revoked', req.sessionId);
+
     res.json({
       status: 'success',
-      message: 'Password updated successfully'
+      message: 'Password updated successfully',
+      token: user.getSignedJwtToken(req.sessionId)
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -270,4 +1312,4 @@ router.put('/password', protect, [
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router; 
\ No newline at end of file
@@ -1,16 +1,222 @@
 const express = require('express');
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const Blog = require('../models/Blog');
-const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const BlogRevision = require('../models/BlogRevision');
+const BlogReview = require('../models/BlogReview');
+const Comment = require('../models/Comment');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const { protect, requirePermission, optionalAuth, rejectApiKeys } = require('../middleware/auth');
 const { uploadSingle, handleUploadError } = require('../middleware/upload');
+const { audit } = require('../middleware/audit');
+const { diffLines } = require('../utils/diff');
+const { wakeBlogScheduler } = require('../utils/blogScheduler');
+const { CONTENT_FORMATS, renderContent, plainText } = require('../utils/renderContent');
+const { sendEmail } = require('../utils/mail');
+const emailTemplates = require('../utils/mail/templates');
+const { scoreComment } = require('../utils/commentSpam');
+const { relatedPostIds, refreshRelatedPosts, KEEP_PER_POST } = require('../utils/relatedPosts');
+const feeds = require('../utils/feeds');
+const { statsSignature } = require('../utils/contentStats');
+const { frontendUrl, backendUrl } = require('../utils/urls');
+const { searchTerms, highlight, snippet, buildVocabulary, suggestQuery } = require('../utils/textSearch');
 
 const router = express.Router();
 
-// CRITICAL: Define backend URL once at the top
-const backendUrl = (process.env.BACKEND_URL || "https://we3vision-backend-1.onrender.com/api").replace(/\/api\/?$/, '');
+const loadBlog = (req, id) => Blog.findById(id);
 
-// @desc    Get all blogs (public)
+// Fields PUT /:id takes from the request. Everything else is managed by the
+// server, the review workflow or its own endpoint; isFeatured and author are
+// handled separately because they need more than blog:edit-own.
+const EDITABLE_FIELDS = [
+  'title', 'content', 'contentFormat', 'excerpt', 'featuredImage', 'category', 'tags',
+  'seoTitle', 'seoDescription', 'seoKeywords'
+];
+
+// Authors may only touch their own posts unless they hold blog:edit-any
+const canEditBlog = (user, blog) =>
+  user.hasPermission('blog:edit-any') || blog.author.toString() === user.id.toString();
+
+// Nobody reviews their own post. Approvers (blog:publish) review anything else;
+// reviewers review posts they are assigned to, or any unassigned post.
+const canReviewBlog = (user, blog) => {
+  if (blog.author.toString() === user.id.toString()) return false;
+  if (user.hasPermission('blog:publish')) return true;
+  if (!user.hasPermission('blog:review')) return false;
+  return !blog.reviewers.length || blog.reviewers.some((id) => id.toString() === user.id.toString());
+};
+
+// Review workflow: draft -> in_review -> approved -> scheduled/published.
+// Approval only happens through POST /:id/reviews so it always leaves a review record.
+const STATUS_TRANSITIONS = {
+  draft: ['in_review', 'archived'],
+  in_review: ['draft', 'archived'],
+  approved: ['draft', 'in_review', 'scheduled', 'published', 'archived'],
+  scheduled: ['approved', 'in_review', 'published', 'draft', 'archived'],
+  published: ['scheduled', 'in_review', 'draft', 'archived'],
+  archived: ['draft', 'published']
+};
+
+// Statuses a post only reaches through review. Content changes to a post in
+// one of them go back to in_review unless an approver makes them.
+const REVIEWED_STATUSES = ['approved', 'scheduled', 'published'];
+
+const needsReapproval = (user, status) =>
+  REVIEWED_STATUSES.includes(status) && !user.hasPermission('blog:publish');
+
+// Check a status change, returns null when allowed or { statusCode, message }
+const checkStatusChange = (user, from, to) => {
+  if (from === to) return null;
+  if (!(STATUS_TRANSITIONS[from] || []).includes(to)) {
+    return {
+      statusCode: 400,
+      message: to === 'approved'
+        ? 'Blogs are approved through POST /api/blog/:id/reviews'
+        : `A blog cannot move from ${from} to ${to}`
+    };
+  }
+  if (['scheduled', 'published'].includes(to) && !user.hasPermission('blog:publish')) {
+    return { statusCode: 403, message: 'You are not allowed to publish blogs' };
+  }
+  return null;
+};
+
+// Email without failing the request, the review record is the source of truth
+const notify = (message) => sendEmail(message)
+  .catch((err) => console.error('Review notification error:', err));
+
+// Record a submission for review and let the assigned reviewers know
+const submitForReview = async (blog, user, comment) => {
+  const review = await BlogReview.create({ blog: blog._id, user: user._id, action: 'submit', comment });
+
+  const reviewers = await User.find({ _id: { $in: blog.reviewers } }).select('name email');
+  reviewers.forEach((reviewer) => notify(emailTemplates.reviewRequested(reviewer, blog)));
+  return review;
+};
+
+// Work out status and publishing dates for a save. `input` is the request body,
+// `current` the blog being updated (if any). Publishing with a future publishAt
+// schedules the post instead. Returns { error } or the fields to store.
+const resolveSchedule = (input, current = {}) => {
+  const parseDate = (value, fallback) => {
+    if (value === undefined) return fallback;
+    if (value === null || value === '') return null;
+    return new Date(value);
+  };
+  const now = new Date();
+
+  let status = input.status || current.status || 'draft';
+  // An explicit "published" without a date means "now", not a stale schedule
+  const publishAt = input.status === 'published' && input.publishAt === undefined
+    ? null
+    : parseDate(input.publishAt, current.publishAt || null);
+  let unpublishAt = parseDate(input.unpublishAt, current.unpublishAt || null);
+
+  if (status === 'published' && publishAt && publishAt > now) {
+    status = 'scheduled';
+  }
+
+  // An unpublishAt kept from an earlier run (e.g. republishing an archived
+  // post) that has already passed would take the post straight down again
+  const goesLive = ['published', 'scheduled'].includes(status) && status !== current.status;
+  if (goesLive && input.unpublishAt === undefined && unpublishAt &&
+    unpublishAt <= (publishAt && publishAt > now ? publishAt : now)) {
+    unpublishAt = null;
+  }
+
+  if (status === 'scheduled' && (input.status !== undefined || input.publishAt !== undefined) &&
+    !(publishAt && publishAt > now)) {
+    return { error: 'Scheduled blogs need a publishAt date in the future' };
+  }
+
+  if (input.unpublishAt !== undefined && unpublishAt &&
+    unpublishAt <= (publishAt && publishAt > now ? publishAt : now)) {
+    return { error: 'unpublishAt must be after the blog goes live' };
+  }
+
+  const schedule = { status, publishAt, unpublishAt };
+  if (status === 'published' && (current.status !== 'published' || !current.publishedAt)) {
+    schedule.publishedAt = now;
+  }
+  return schedule;
+};
+
+// Block content may be posted as JSON; it is stored serialised
+const serializeContent = (value) => (value && typeof value === 'object' ? JSON.stringify(value) : value);
+
+// Reject block content that cannot be rendered before anything is saved
+const checkBlockContent = (value, { req }) => {
+  if (req.body.contentFormat === 'blocks') {
+    renderContent(value, 'blocks');
+  }
+  return true;
+};
+
+// Categories are managed in their own collection (see routes/taxonomy.js)
+const checkCategory = async (value) => {
+  if (!value || !(await Category.exists({ name: value }))) {
+    throw new Error('Please provide a valid category');
+  }
+  return true;
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words of published posts for "did you mean" suggestions, rebuilt when posts change
+let searchVocabulary = { signature: null, words: new Map() };
+const loadSearchVocabulary = async () => {
+  const signature = statsSignature(await Blog.publishedStats());
+  if (searchVocabulary.signature !== signature) {
+    const blogs = await Blog.find(Blog.publishedFilter()).select('title tags category contentHtml').lean();
+    searchVocabulary = {
+      signature,
+      words: buildVocabulary(blogs.map((blog) =>
+        [blog.title, blog.category, ...(blog.tags || []), plainText(blog.contentHtml)].join(' ')))
+    };
+  }
+  return searchVocabulary.words;
+};
+
+// Match counts by category, tag and author for a search
+const searchFacets = async (match) => {
+  const [facets] = await Blog.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: { $toLower: '$tags' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 20 }
+        ],
+        authors: [
+          { $group: { _id: '$author', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: 20 },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+          { $project: { count: 1, name: { $arrayElemAt: ['$user.name', 0] } } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    categories: facets.categories.map((row) => ({ value: row._id, count: row.count })),
+    tags: facets.tags.map((row) => ({ value: row._id, count: row.count })),
+    authors: facets.authors.map((row) => ({ value: row._id, name: row.name || null, count: row.count }))
+  };
+};
+
+// @desc    Get all blogs (public). With ?search=, results are ranked by relevance
+//          (title and tag matches first) and come with highlights, facet counts
+//          and a "did you mean" suggestion when nothing matched.
 // @route   GET /api/blog
 // @access  Public
 router.get('/', optionalAuth, async (req, res) => {
@@ -18,36 +224,41 @@ router.get('/', optionalAuth, async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
-    
-    const query = { status: 'published' };
-    
+    const search = typeof req.query.search === 'string' ? req.query.search.trim().slice(0, 200) : '';
+
+    const baseQuery = Blog.publishedFilter();
+    if (search) {
+      baseQuery.$text = { $search: search };
+    }
+
+    const query = { ...baseQuery };
     if (req.query.category) {
-      query.category = req.query.category;
+      query.category = String(req.query.category);
+    }
+    if (req.query.tag) {
+      query.tags = new RegExp(`^${escapeRegex(req.query.tag)}$`, 'i');
     }
-    
     if (req.query.author) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.author)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid author id'
+        });
+      }
       query.author = req.query.author;
     }
-    
-    if (req.query.search) {
-      query.$or = [
-        { title: { $regex: req.query.search, $options: 'i' } },
-        { content: { $regex: req.query.search, $options: 'i' } },
-        { tags: { $in: [new RegExp(req.query.search, 'i')] } }
-      ];
-    }
 
-    const blogs = await Blog.find(query)
+    const blogs = await Blog.find(query, search ? { score: { $meta: 'textScore' } } : {})
       .populate('author', 'name avatar')
-      .sort({ createdAt: -1 })
+      .sort(search ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1 })
       .skip(skip)
       .limit(limit)
-      .select('-content -__v');
+      .select(`-content -toc -__v${search ? '' : ' -contentHtml'}`);
 
     const total = await Blog.countDocuments(query);
     const totalPages = Math.ceil(total / limit);
 
-    res.json({
+    const response = {
       status: 'success',
       data: blogs,
       pagination: {
@@ -57,7 +268,32 @@ router.get('/', optionalAuth, async (req, res) => {
         hasNext: page < totalPages,
         hasPrev: page > 1
       }
-    });
+    };
+
+    if (search) {
+      const terms = searchTerms(search);
+      response.data = blogs.map((blog) => {
+        const { contentHtml, ...data } = blog.toJSON();
+        return {
+          ...data,
+          highlights: {
+            title: highlight(blog.title, terms),
+            snippet: snippet(plainText(contentHtml) || blog.excerpt, terms)
+          }
+        };
+      });
+      // Facets ignore the category, tag and author filters so other values stay selectable
+      response.facets = await searchFacets(baseQuery);
+      response.didYouMean = null;
+      if (!total) {
+        const suggestion = suggestQuery(search, await loadSearchVocabulary());
+        if (suggestion && await Blog.countDocuments({ ...Blog.publishedFilter(), $text: { $search: suggestion } })) {
+          response.didYouMean = suggestion;
+        }
+      }
+    }
+
+    res.json(response);
   } catch (error) {
     console.error('Get blogs error:', error);
     res.status(500).json({
@@ -74,7 +310,7 @@ router.get('/', optionalAuth, async (req, res) => {
 router.get('/featured', async (req, res) => {
   try {
     const blogs = await Blog.find({ 
-      status: 'published', 
+      ...Blog.publishedFilter(), 
       isFeatured: true 
     })
       .populate('author', 'name avatar')
@@ -96,24 +332,138 @@ router.get('/featured', async (req, res) => {
   }
 });
 
+const FEED_FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', build: feeds.buildRss },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', build: feeds.buildAtom },
+  json: { contentType: 'application/feed+json; charset=utf-8', build: feeds.buildJsonFeed }
+};
+
+// Feed of published posts, optionally for one category or tag.
+// ?mode=full includes the rendered post, otherwise only the excerpt.
+const sendFeed = (extension) => async (req, res) => {
+  try {
+    const format = FEED_FORMATS[extension];
+    const mode = req.query.mode === 'full' ? 'full' : 'excerpt';
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    const query = Blog.publishedFilter();
+    if (req.query.category) {
+      query.category = String(req.query.category);
+    }
+    if (req.query.tag) {
+      query.tags = new RegExp(`^${escapeRegex(req.query.tag)}$`, 'i');
+    }
+
+    const blogs = await Blog.find(query)
+      .populate('author', 'name')
+      .sort({ publishedAt: -1, createdAt: -1 })
+      .limit(limit)
+      .select(`title slug excerpt featuredImage author category tags publishedAt createdAt updatedAt${mode === 'full' ? ' content contentFormat contentHtml' : ''}`);
+
+    // Conditional GET: the feed only changes when its posts do
+    const lastModified = blogs.reduce(
+      (latest, blog) => (blog.updatedAt > latest ? blog.updatedAt : latest),
+      new Date(0)
+    );
+    const fingerprint = crypto.createHash('sha1')
+      .update(JSON.stringify([extension, mode, req.query.category, req.query.tag, limit]))
+      .update(blogs.map((blog) => `${blog._id}:${blog.updatedAt.getTime()}`).join(','))
+      .digest('base64');
+    res.set({
+      ETag: `W/"${fingerprint}"`,
+      'Last-Modified': lastModified.toUTCString(),
+      'Cache-Control': 'public, max-age=300'
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const site = frontendUrl();
+    const feedPath = `/api/blog/feed.${extension}`;
+    const filters = [
+      req.query.category && `category=${encodeURIComponent(req.query.category)}`,
+      req.query.tag && `tag=${encodeURIComponent(req.query.tag)}`,
+      mode === 'full' && 'mode=full'
+    ].filter(Boolean);
+
+    const items = [];
+    for (const blog of blogs) {
+      if (mode === 'full' && blog.contentHtml == null) {
+        blog.renderContent();
+      }
+      items.push({
+        id: `${site}/blog/${blog._id}`,
+        title: blog.title,
+        url: `${site}/blog/${blog.slug}`,
+        summary: blog.excerpt || '',
+        contentHtml: mode === 'full' ? feeds.absoluteHtml(blog.contentHtml, backendUrl()) : null,
+        published: blog.publishedAt || blog.createdAt,
+        updated: blog.updatedAt,
+        author: blog.author && blog.author.name,
+        categories: [blog.category, ...(blog.tags || [])].filter(Boolean),
+        image: feeds.absoluteUrl(blog.featuredImage, backendUrl())
+      });
+    }
+
+    const titleSuffix = req.query.tag
+      ? ` - #${req.query.tag}`
+      : req.query.category ? ` - ${req.query.category}` : '';
+
+    res.type(format.contentType).send(format.build({
+      title: `We3Vision Blog${titleSuffix}`,
+      description: 'Latest posts from the We3Vision blog',
+      siteUrl: `${site}/blog`,
+      feedUrl: `${backendUrl()}${feedPath}${filters.length ? `?${filters.join('&')}` : ''}`,
+      updated: blogs.length ? lastModified : new Date()
+    }, items));
+  } catch (error) {
+    console.error('Get blog feed error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    RSS 2.0 feed of published blogs (?category=, ?tag=, ?mode=full|excerpt, ?limit=)
+// @route   GET /api/blog/feed.rss
+// @access  Public
+router.get('/feed.rss', sendFeed('rss'));
+
+// @desc    Atom feed of published blogs (same options as the RSS feed)
+// @route   GET /api/blog/feed.atom
+// @access  Public
+router.get('/feed.atom', sendFeed('atom'));
+
+// @desc    JSON Feed of published blogs (same options as the RSS feed)
+// @route   GET /api/blog/feed.json
+// @access  Public
+router.get('/feed.json', sendFeed('json'));
+
 // @desc    Get all blogs (admin - includes drafts)
 // @route   GET /api/blog/admin/all
-// @access  Private (Admin only)
+// @access  Private (blog:read-drafts, or blog:edit-own for the user's own posts)
 // MOVED BEFORE /:slug to prevent route conflict
-router.get('/admin/all', protect, authorize('admin'), async (req, res) => {
+router.get('/admin/all', protect, requirePermission('blog:read-drafts', 'blog:edit-own'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const blogs = await Blog.find()
+    const query = {};
+    if (!req.user.hasPermission('blog:read-drafts')) {
+      query.author = req.user.id;
+    }
+
+    const blogs = await Blog.find(query)
       .populate('author', 'name avatar')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .select('-__v');
 
-    const total = await Blog.countDocuments();
+    const total = await Blog.countDocuments(query);
     const totalPages = Math.ceil(total / limit);
 
     res.json({
@@ -137,28 +487,106 @@ router.get('/admin/all', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @desc    Get single blog
+// @desc    Blogs waiting for review by the current user
+// @route   GET /api/blog/admin/review-queue
+// @access  Private (blog:review or blog:publish)
+router.get('/admin/review-queue', protect, requirePermission('blog:review', 'blog:publish'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { status: 'in_review' };
+    if (!req.user.hasPermission('blog:publish')) {
+      query.author = { $ne: req.user.id };
+      query.$or = [{ reviewers: req.user.id }, { reviewers: { $size: 0 } }];
+    }
+
+    const blogs = await Blog.find(query)
+      .populate('author', 'name avatar')
+      .populate('reviewers', 'name avatar')
+      .sort({ submittedAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-__v');
+
+    const total = await Blog.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: blogs,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get single blog (drafts and scheduled posts with ?preview=<token>)
 // @route   GET /api/blog/:slug
 // @access  Public
 router.get('/:slug', optionalAuth, async (req, res) => {
   try {
-    const blog = await Blog.findOne({ 
+    // Preview tokens are bound to the blog id, so links survive a title change
+    const previewBlogId = req.query.preview ? Blog.verifyPreviewToken(req.query.preview) : null;
+
+    const blog = await Blog.findOne(previewBlogId ? { _id: previewBlogId } : { 
       slug: req.params.slug,
-      status: 'published'
+      ...Blog.publishedFilter()
     })
       .populate('author', 'name avatar bio')
-      .populate('comments.user', 'name avatar')
       .select('-__v');
 
     if (!blog) {
+      // A slug the post used to have: tell the frontend where it lives now
+      const moved = !previewBlogId && await Blog.findOne({
+        previousSlugs: req.params.slug,
+        ...Blog.publishedFilter()
+      }).select('slug');
+
+      if (moved) {
+        return res.json({
+          status: 'success',
+          redirect: {
+            from: req.params.slug,
+            to: moved.slug,
+            permanent: true
+          }
+        });
+      }
+
       return res.status(404).json({
         status: 'error',
         message: 'Blog not found'
       });
     }
 
-    blog.views += 1;
-    await blog.save();
+    // Posts saved before rendering existed are rendered on first read
+    if (blog.contentHtml == null) {
+      blog.renderContent();
+    }
+
+    if (previewBlogId) {
+      res.set('Cache-Control', 'private, no-store');
+      res.set('X-Robots-Tag', 'noindex');
+    } else {
+      // Counted atomically and without a save: views are not edits, so they
+      // leave updatedAt (feed and sitemap lastmod) and the revisions alone
+      await Blog.updateOne({ _id: blog._id }, { $inc: { views: 1 } }, { timestamps: false });
+      blog.views += 1;
+    }
 
     let isLiked = false;
     if (req.user) {
@@ -182,14 +610,56 @@ router.get('/:slug', optionalAuth, async (req, res) => {
   }
 });
 
+// @desc    Published posts related to a published post (?limit=, default 4, max 10)
+// @route   GET /api/blog/:slug/related
+// @access  Public
+router.get('/:slug/related', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 4, KEEP_PER_POST);
+
+    const blog = await Blog.findOne({
+      $or: [{ slug: req.params.slug }, { previousSlugs: req.params.slug }],
+      ...Blog.publishedFilter()
+    }).select('_id');
+
+    if (!blog) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Blog not found'
+      });
+    }
+
+    const related = await relatedPostIds(blog._id, limit);
+    const blogs = await Blog.find({ _id: { $in: related.map((entry) => entry.id) }, ...Blog.publishedFilter() })
+      .populate('author', 'name avatar')
+      .select('title slug excerpt featuredImage author category tags readTime publishedAt createdAt');
+    const byId = new Map(blogs.map((post) => [post._id.toString(), post]));
+
+    res.json({
+      status: 'success',
+      data: related
+        .filter((entry) => byId.has(entry.id.toString()))
+        .map((entry) => ({ ...byId.get(entry.id.toString()).toJSON(), score: entry.score }))
+    });
+  } catch (error) {
+    console.error('Get related blogs error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @desc    Create new blog
 // @route   POST /api/blog
-// @access  Private (Admin only)
+// @access  Private (blog:create)
 // FIX: Multer (uploadSingle) MUST come before validation middleware
 router.post(
   '/',
   protect,
-  authorize('admin'),
+  requirePermission('blog:create'),
+  audit('blog', 'create', { load: loadBlog }),
   uploadSingle,
   handleUploadError,
   [
@@ -198,16 +668,24 @@ router.post(
       .isLength({ min: 5, max: 100 })
       .withMessage('Title must be between 5 and 100 characters'),
     body('content')
+      .customSanitizer(serializeContent)
       .trim()
       .isLength({ min: 50 })
-      .withMessage('Content must be at least 50 characters'),
+      .withMessage('Content must be at least 50 characters')
+      .custom(checkBlockContent),
+    body('contentFormat')
+      .optional()
+      .isIn(CONTENT_FORMATS)
+      .withMessage(`Content format must be one of: ${CONTENT_FORMATS.join(', ')}`),
+    // Left empty, an excerpt is generated from the content
     body('excerpt')
+      .optional({ values: 'falsy' })
       .trim()
       .isLength({ min: 10, max: 200 })
       .withMessage('Excerpt must be between 10 and 200 characters'),
     body('category')
-      .isIn(['Technology', 'Design', 'Development', 'NFT', 'Metaverse', 'AI/ML', 'Mobile', 'Web', 'Gaming', 'AR/VR', 'Other'])
-      .withMessage('Please provide a valid category'),
+      .trim()
+      .custom(checkCategory),
     body('tags')
       .optional()
       .customSanitizer((value) => {
@@ -230,8 +708,12 @@ router.post(
       .withMessage('Tags must be an array'),
     body('status')
       .optional()
-      .isIn(['draft', 'published', 'archived'])
-      .withMessage('Please provide a valid status')
+      .isIn(['draft', 'in_review', 'approved', 'scheduled', 'published', 'archived'])
+      .withMessage('Please provide a valid status'),
+    body(['publishAt', 'unpublishAt'])
+      .optional({ values: 'falsy' })
+      .isISO8601()
+      .withMessage('Please provide a valid date')
   ],
   async (req, res) => {
     try {
@@ -246,15 +728,36 @@ router.post(
       const {
         title,
         content,
+        contentFormat,
         excerpt,
         category,
         tags,
-        status = 'draft',
         seoTitle,
         seoDescription,
         seoKeywords
       } = req.body;
 
+      const schedule = resolveSchedule(req.body);
+      if (schedule.error) {
+        return res.status(400).json({
+          status: 'error',
+          message: schedule.error
+        });
+      }
+
+      // New posts start as drafts or go straight into review
+      const statusError = checkStatusChange(req.user, 'draft', schedule.status);
+      if (statusError) {
+        return res.status(statusError.statusCode).json({
+          status: 'error',
+          message: statusError.message
+        });
+      }
+
+      if (schedule.status === 'in_review') {
+        schedule.submittedAt = new Date();
+      }
+
       // Store environment-agnostic relative path for featured image
       const folder = req.uploadFolder || 'uploads';
       const featuredImage = req.file
@@ -264,10 +767,11 @@ router.post(
       const blogData = {
         title,
         content,
+        contentFormat,
         excerpt,
         category,
         tags: Array.isArray(tags) ? tags : [],
-        status,
+        ...schedule,
         author: req.user.id,
         seoTitle,
         seoDescription,
@@ -280,7 +784,13 @@ router.post(
         blogData.featuredImage = featuredImage;
       }
 
-      const blog = await Blog.create(blogData);
+      const blog = await new Blog(blogData).editedBy(req.user.id).save();
+
+      await Tag.registerNames(blog.tags);
+
+      if (blog.status === 'in_review') {
+        await submitForReview(blog, req.user);
+      }
 
       const populatedBlog = await Blog.findById(blog._id)
         .populate('author', 'name avatar');
@@ -299,6 +809,12 @@ router.post(
           keyValue: error.keyValue
         });
       }
+      if (error && error.name === 'ValidationError') {
+        return res.status(400).json({
+          status: 'error',
+          message: Object.values(error.errors).map((err) => err.message).join(', ')
+        });
+      }
       res.status(500).json({
         status: 'error',
         message: 'Server error',
@@ -310,12 +826,13 @@ router.post(
 
 // @desc    Update blog
 // @route   PUT /api/blog/:id
-// @access  Private (Admin only)
+// @access  Private (blog:edit-any, or blog:edit-own for the author)
 // FIX: Multer MUST come before validation middleware
 router.put(
   '/:id',
   protect,
-  authorize('admin'),
+  requirePermission('blog:edit-own', 'blog:edit-any'),
+  audit('blog', 'update', { load: loadBlog }),
   uploadSingle,
   handleUploadError,
   [
@@ -326,18 +843,25 @@ router.put(
       .withMessage('Title must be between 5 and 100 characters'),
     body('content')
       .optional()
+      .customSanitizer(serializeContent)
       .trim()
       .isLength({ min: 50 })
-      .withMessage('Content must be at least 50 characters'),
-    body('excerpt')
+      .withMessage('Content must be at least 50 characters')
+      .custom(checkBlockContent),
+    body('contentFormat')
       .optional()
+      .isIn(CONTENT_FORMATS)
+      .withMessage(`Content format must be one of: ${CONTENT_FORMATS.join(', ')}`),
+    // Sending an empty excerpt switches back to a generated one
+    body('excerpt')
+      .optional({ values: 'falsy' })
       .trim()
       .isLength({ min: 10, max: 200 })
       .withMessage('Excerpt must be between 10 and 200 characters'),
     body('category')
       .optional()
-      .isIn(['Technology', 'Design', 'Development', 'NFT', 'Metaverse', 'AI/ML', 'Mobile', 'Web', 'Gaming', 'AR/VR', 'Other'])
-      .withMessage('Please provide a valid category'),
+      .trim()
+      .custom(checkCategory),
     body('tags')
       .optional()
       .customSanitizer((value) => {
@@ -360,8 +884,21 @@ router.put(
       .withMessage('Tags must be an array'),
     body('status')
       .optional()
-      .isIn(['draft', 'published', 'archived'])
-      .withMessage('Please provide a valid status')
+      .isIn(['draft', 'in_review', 'approved', 'scheduled', 'published', 'archived'])
+      .withMessage('Please provide a valid status'),
+    body(['publishAt', 'unpublishAt'])
+      .optional({ values: 'falsy' })
+      .isISO8601()
+      .withMessage('Please provide a valid date'),
+    body('isFeatured')
+      .optional()
+      .isBoolean()
+      .withMessage('isFeatured must be true or false')
+      .toBoolean(),
+    body('author')
+      .optional()
+      .isMongoId()
+      .withMessage('Please provide a valid author id')
   ],
   async (req, res) => {
     try {
@@ -381,7 +918,77 @@ router.put(
         });
       }
 
-      const updateData = { ...req.body };
+      const canEditAny = req.user.hasPermission('blog:edit-any');
+      if (!canEditBlog(req.user, blog)) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'You can only edit your own blogs'
+        });
+      }
+
+      if (req.body.isFeatured !== undefined && !req.user.hasPermission('blog:publish')) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'You are not allowed to feature blogs'
+        });
+      }
+
+      if (req.body.author !== undefined && !canEditAny) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'You are not allowed to reassign blogs'
+        });
+      }
+
+      const schedule = resolveSchedule(req.body, blog);
+      if (schedule.error) {
+        return res.status(400).json({
+          status: 'error',
+          message: schedule.error
+        });
+      }
+
+      // Content changes to an approved, scheduled or published post need
+      // approving again, unless the post is being taken down at the same time
+      const contentChanged = Boolean(req.file) || [...BlogRevision.REVISION_FIELDS, 'featuredImage'].some((field) =>
+        req.body[field] !== undefined && JSON.stringify(req.body[field]) !== JSON.stringify(blog[field]));
+      if (contentChanged && needsReapproval(req.user, blog.status) &&
+        REVIEWED_STATUSES.includes(schedule.status)) {
+        schedule.status = 'in_review';
+      }
+
+      const statusError = checkStatusChange(req.user, blog.status, schedule.status);
+      if (statusError) {
+        return res.status(statusError.statusCode).json({
+          status: 'error',
+          message: statusError.message
+        });
+      }
+
+      // Moving the date of a scheduled post needs blog:publish too
+      if (schedule.status === 'scheduled' &&
+        String(schedule.publishAt) !== String(blog.publishAt || null) &&
+        !req.user.hasPermission('blog:publish')) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'You are not allowed to publish blogs'
+        });
+      }
+
+      if (schedule.status === 'in_review' && blog.status !== 'in_review') {
+        Object.assign(schedule, { submittedAt: new Date(), approvedBy: null, approvedAt: null });
+      }
+
+      const updateData = Object.fromEntries(EDITABLE_FIELDS
+        .filter((field) => req.body[field] !== undefined)
+        .map((field) => [field, req.body[field]]));
+      if (req.body.isFeatured !== undefined) {
+        updateData.isFeatured = req.body.isFeatured;
+      }
+      if (req.body.author !== undefined) {
+        updateData.author = req.body.author;
+      }
+      Object.assign(updateData, schedule);
       
       // FIX: Handle file upload properly using current request host/protocol
       if (req.file) {
@@ -410,11 +1017,30 @@ router.put(
         }
       }
 
-      const updatedBlog = await Blog.findByIdAndUpdate(
-        req.params.id,
-        updateData,
-        { new: true, runValidators: true }
-      ).populate('author', 'name avatar');
+      // Baseline for posts created before revisions existed
+      await BlogRevision.record(blog, blog.author);
+
+      // Saved through the document so slug, rendering and revision hooks run
+      const previousStatus = blog.status;
+      blog.set(updateData);
+      await blog.editedBy(req.user.id).save();
+      const updatedBlog = await blog.populate('author', 'name avatar');
+
+      if (updateData.tags) {
+        await Tag.registerNames(updatedBlog.tags);
+      }
+
+      if (updatedBlog.status === 'in_review' && previousStatus !== 'in_review') {
+        await submitForReview(updatedBlog, req.user);
+      }
+
+      if (updatedBlog.status === 'scheduled' || updatedBlog.unpublishAt) {
+        wakeBlogScheduler();
+      }
+
+      if (updatedBlog.status === 'published' || previousStatus === 'published') {
+        refreshRelatedPosts();
+      }
 
       res.json({
         status: 'success',
@@ -429,6 +1055,12 @@ router.put(
           keyValue: error.keyValue
         });
       }
+      if (error && error.name === 'ValidationError') {
+        return res.status(400).json({
+          status: 'error',
+          message: Object.values(error.errors).map((err) => err.message).join(', ')
+        });
+      }
       res.status(500).json({
         status: 'error',
         message: 'Server error',
@@ -440,8 +1072,8 @@ router.put(
 
 // @desc    Delete blog
 // @route   DELETE /api/blog/:id
-// @access  Private (Admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (blog:delete)
+router.delete('/:id', protect, requirePermission('blog:delete'), audit('blog', 'delete', { load: loadBlog }), async (req, res) => {
   try {
     const blog = await Blog.findById(req.params.id);
     if (!blog) {
@@ -452,6 +1084,9 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
     }
 
     await Blog.findByIdAndDelete(req.params.id);
+    await BlogRevision.deleteMany({ blog: blog._id });
+    await BlogReview.deleteMany({ blog: blog._id });
+    await Comment.deleteMany({ blog: blog._id });
 
     res.json({
       status: 'success',
@@ -467,35 +1102,587 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @desc    Toggle like on blog
-// @route   POST /api/blog/:id/like
-// @access  Private
-router.post('/:id/like', protect, async (req, res) => {
+// Load the blog named by :id, sending the 404 itself when it does not exist
+const findBlogById = async (req, res) => {
+  const blog = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Blog.findById(req.params.id)
+    : null;
+  if (!blog) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Blog not found'
+    });
+  }
+  return blog;
+};
+
+// Load a blog the user may edit, sending 404/403 itself when not allowed
+const findEditableBlog = async (req, res) => {
+  const blog = await findBlogById(req, res);
+  if (!blog) return null;
+  if (!canEditBlog(req.user, blog)) {
+    res.status(403).json({
+      status: 'error',
+      message: 'You can only edit your own blogs'
+    });
+    return null;
+  }
+  return blog;
+};
+
+// @desc    List revisions of a blog
+// @route   GET /api/blog/:id/revisions
+// @access  Private (blog:edit-any, or blog:edit-own for the author)
+router.get('/:id/revisions', protect, requirePermission('blog:edit-own', 'blog:edit-any'), async (req, res) => {
   try {
-    const blog = await Blog.findById(req.params.id);
-    if (!blog) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Blog not found'
-      });
-    }
+    const blog = await findEditableBlog(req, res);
+    if (!blog) return;
 
-    const likeIndex = blog.likes.indexOf(req.user.id);
-    
-    if (likeIndex > -1) {
-      blog.likes.splice(likeIndex, 1);
+    const revisions = await BlogRevision.find({ blog: blog._id })
+      .populate('editor', 'name avatar')
+      .sort({ revision: -1 })
+      .select('revision title status editor restoredFrom createdAt');
+
+    res.json({
+      status: 'success',
+      data: revisions
+    });
+  } catch (error) {
+    console.error('List blog revisions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Diff two revisions of a blog (?from=<revision>&to=<revision>)
+// @route   GET /api/blog/:id/revisions/diff
+// @access  Private (blog:edit-any, or blog:edit-own for the author)
+// Defined before /:id/revisions/:revision so "diff" is not taken as a revision number
+router.get('/:id/revisions/diff', protect, requirePermission('blog:edit-own', 'blog:edit-any'), async (req, res) => {
+  try {
+    const blog = await findEditableBlog(req, res);
+    if (!blog) return;
+
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+    if (!from || !to) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Both from and to revision numbers are required'
+      });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      BlogRevision.findOne({ blog: blog._id, revision: from }),
+      BlogRevision.findOne({ blog: blog._id, revision: to })
+    ]);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Revision not found'
+      });
+    }
+
+    const fields = {};
+    for (const field of BlogRevision.SNAPSHOT_FIELDS) {
+      if (field === 'content') continue;
+      const before = fromRevision[field];
+      const after = toRevision[field];
+      if (JSON.stringify(before) !== JSON.stringify(after)) {
+        fields[field] = { from: before, to: after };
+      }
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        from,
+        to,
+        fields,
+        content: fromRevision.content === toRevision.content
+          ? []
+          : diffLines(fromRevision.content, toRevision.content)
+      }
+    });
+  } catch (error) {
+    console.error('Diff blog revisions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get a single revision of a blog
+// @route   GET /api/blog/:id/revisions/:revision
+// @access  Private (blog:edit-any, or blog:edit-own for the author)
+router.get('/:id/revisions/:revision', protect, requirePermission('blog:edit-own', 'blog:edit-any'), async (req, res) => {
+  try {
+    const blog = await findEditableBlog(req, res);
+    if (!blog) return;
+
+    const revision = await BlogRevision.findOne({
+      blog: blog._id,
+      revision: parseInt(req.params.revision, 10) || 0
+    }).populate('editor', 'name avatar');
+
+    if (!revision) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: revision
+    });
+  } catch (error) {
+    console.error('Get blog revision error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Restore a blog to a previous revision
+// @route   POST /api/blog/:id/revisions/:revision/restore
+// @access  Private (blog:edit-any, or blog:edit-own for the author)
+router.post('/:id/revisions/:revision/restore', protect, requirePermission('blog:edit-own', 'blog:edit-any'), audit('blog', 'update', { name: 'blog.restore', load: loadBlog }), async (req, res) => {
+  try {
+    const blog = await findEditableBlog(req, res);
+    if (!blog) return;
+
+    const revision = await BlogRevision.findOne({
+      blog: blog._id,
+      revision: parseInt(req.params.revision, 10) || 0
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Revision not found'
+      });
+    }
+
+    await BlogRevision.record(blog, blog.author);
+
+    for (const field of BlogRevision.REVISION_FIELDS) {
+      blog[field] = revision[field];
+    }
+
+    // Restored content needs approving again, like any other edit
+    const needsReview = needsReapproval(req.user, blog.status);
+    if (needsReview) {
+      blog.status = 'in_review';
+      blog.submittedAt = new Date();
+      blog.approvedBy = undefined;
+      blog.approvedAt = undefined;
+    }
+    await blog.editedBy(req.user.id, { restoredFrom: revision.revision }).save();
+
+    if (blog.status === 'published') {
+      refreshRelatedPosts();
+    }
+
+    if (needsReview) {
+      await submitForReview(blog, req.user);
+    }
+
+    const restoredBlog = await Blog.findById(blog._id)
+      .populate('author', 'name avatar');
+
+    res.json({
+      status: 'success',
+      data: restoredBlog
+    });
+  } catch (error) {
+    console.error('Restore blog revision error:', error);
+    if (error && error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A blog with this title already exists. Please use a unique title.',
+        keyValue: error.keyValue
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    List review history and reviewers of a blog
+// @route   GET /api/blog/:id/reviews
+// @access  Private (the author, editors, and the blog's reviewers)
+router.get('/:id/reviews', protect, requirePermission('blog:edit-own', 'blog:edit-any', 'blog:review'), async (req, res) => {
+  try {
+    const blog = await findBlogById(req, res);
+    if (!blog) return;
+
+    if (!canEditBlog(req.user, blog) && !canReviewBlog(req.user, blog)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not a reviewer of this blog'
+      });
+    }
+
+    await blog.populate('reviewers', 'name avatar');
+    const reviews = await BlogReview.find({ blog: blog._id })
+      .populate('user', 'name avatar')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        status: blog.status,
+        reviewers: blog.reviewers,
+        submittedAt: blog.submittedAt,
+        approvedAt: blog.approvedAt,
+        reviews
+      }
+    });
+  } catch (error) {
+    console.error('List blog reviews error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Submit for review, comment, approve or request changes
+// @route   POST /api/blog/:id/reviews
+// @access  Private (submit: the author or editors; approve/request_changes: the blog's reviewers)
+router.post('/:id/reviews', protect, requirePermission('blog:edit-own', 'blog:edit-any', 'blog:review'), audit('blog', 'update', { name: 'blog.review', load: loadBlog }), [
+  body('action')
+    .isIn(['submit', 'comment', 'approve', 'request_changes'])
+    .withMessage('Action must be submit, comment, approve or request_changes'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Review comment cannot be more than 5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const blog = await findBlogById(req, res);
+    if (!blog) return;
+
+    const { action, comment } = req.body;
+    const isEditor = canEditBlog(req.user, blog);
+    const isReviewer = canReviewBlog(req.user, blog);
+
+    if ((action === 'submit' && !isEditor) ||
+      (['approve', 'request_changes'].includes(action) && !isReviewer) ||
+      (action === 'comment' && !isEditor && !isReviewer)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not allowed to perform this review action'
+      });
+    }
+
+    if (action === 'comment' && !comment) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a comment'
+      });
+    }
+
+    if (action === 'request_changes' && !comment) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please explain which changes are needed'
+      });
+    }
+
+    const expectedStatus = { submit: ['draft', 'approved'], approve: ['in_review'], request_changes: ['in_review'] }[action];
+    if (expectedStatus && !expectedStatus.includes(blog.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot ${action.replace('_', ' ')} a blog that is ${blog.status}`
+      });
+    }
+
+    let review;
+    if (action === 'submit') {
+      blog.status = 'in_review';
+      blog.submittedAt = new Date();
+      blog.approvedBy = undefined;
+      blog.approvedAt = undefined;
+      await blog.editedBy(req.user.id).save();
+      review = await submitForReview(blog, req.user, comment);
     } else {
-      blog.likes.push(req.user.id);
+      if (action === 'approve') {
+        blog.status = 'approved';
+        blog.approvedBy = req.user._id;
+        blog.approvedAt = new Date();
+        await blog.editedBy(req.user.id).save();
+      } else if (action === 'request_changes') {
+        blog.status = 'draft';
+        await blog.editedBy(req.user.id).save();
+      }
+
+      review = await BlogReview.create({ blog: blog._id, user: req.user._id, action, comment });
+
+      if (action === 'request_changes') {
+        const author = await User.findById(blog.author).select('name email');
+        if (author) {
+          notify(emailTemplates.reviewChangesRequested(author, blog, req.user.name, comment));
+        }
+      }
     }
 
-    await blog.save();
+    res.status(201).json({
+      status: 'success',
+      data: {
+        status: blog.status,
+        review
+      }
+    });
+  } catch (error) {
+    console.error('Blog review error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Assign reviewers to a blog
+// @route   PUT /api/blog/:id/reviewers
+// @access  Private (blog:publish)
+router.put('/:id/reviewers', protect, requirePermission('blog:publish'), audit('blog', 'update', { name: 'blog.reviewers', load: loadBlog }), [
+  body('reviewers')
+    .isArray()
+    .withMessage('Reviewers must be an array of user ids'),
+  body('reviewers.*')
+    .isMongoId()
+    .withMessage('Reviewers must be an array of user ids')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const blog = await findBlogById(req, res);
+    if (!blog) return;
+
+    const ids = [...new Set(req.body.reviewers.map(String))];
+    const users = await User.find({ _id: { $in: ids }, isActive: true }).select('name email role');
+    const invalid = ids.filter((id) => {
+      const user = users.find((u) => u._id.toString() === id);
+      return !user || !user.hasPermission('blog:review') || id === blog.author.toString();
+    });
+    if (invalid.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reviewers must be active users with review permission, other than the author',
+        invalid
+      });
+    }
+
+    const previous = blog.reviewers.map(String);
+    blog.reviewers = ids;
+    await blog.editedBy(req.user.id).save();
+
+    // Only newly added reviewers need telling about a post already waiting
+    if (blog.status === 'in_review') {
+      users
+        .filter((user) => !previous.includes(user._id.toString()))
+        .forEach((user) => notify(emailTemplates.reviewRequested(user, blog)));
+    }
+
+    await blog.populate('reviewers', 'name avatar');
+
+    res.json({
+      status: 'success',
+      data: blog.reviewers
+    });
+  } catch (error) {
+    console.error('Assign blog reviewers error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Pin a custom slug, or unpin it to follow the title again
+// @route   PUT /api/blog/:id/slug
+// @access  Private (blog:edit-any)
+router.put('/:id/slug', protect, requirePermission('blog:edit-any'), audit('blog', 'update', { name: 'blog.slug', load: loadBlog }), [
+  body('slug')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug may only contain lowercase letters, numbers and single hyphens')
+    .isLength({ max: 120 })
+    .withMessage('Slug cannot be more than 120 characters'),
+  body('pinned')
+    .optional()
+    .isBoolean()
+    .withMessage('Pinned must be true or false')
+    .toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const blog = await findBlogById(req, res);
+    if (!blog) return;
+
+    const pinned = req.body.pinned !== undefined ? req.body.pinned : true;
+
+    if (pinned) {
+      if (!req.body.slug) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Please provide a slug to pin'
+        });
+      }
+
+      const taken = await Blog.exists({ slug: req.body.slug, _id: { $ne: blog._id } });
+      if (taken) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'Another blog already uses this slug'
+        });
+      }
+
+      blog.slug = req.body.slug;
+    }
+    blog.slugLocked = pinned;
+    await blog.editedBy(req.user.id).save();
+
+    // The slug now belongs to this post, so no other post should redirect from it
+    await Blog.updateMany(
+      { _id: { $ne: blog._id }, previousSlugs: blog.slug },
+      { $pull: { previousSlugs: blog.slug } }
+    );
 
     res.json({
       status: 'success',
       data: {
-        likes: blog.likes,
-        likeCount: blog.likes.length,
-        isLiked: likeIndex === -1
+        slug: blog.slug,
+        slugLocked: blog.slugLocked,
+        previousSlugs: blog.previousSlugs
+      }
+    });
+  } catch (error) {
+    console.error('Update blog slug error:', error);
+    if (error && error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Another blog already uses this slug'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Create a shareable preview link for a draft or scheduled blog
+// @route   POST /api/blog/:id/preview-link
+// @access  Private (blog:edit-any, or blog:edit-own for the author)
+router.post('/:id/preview-link', protect, requirePermission('blog:edit-own', 'blog:edit-any'), [
+  body('expiresInHours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('expiresInHours must be between 1 and 720')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const blog = await findEditableBlog(req, res);
+    if (!blog) return;
+
+    const expiresInHours = parseInt(req.body.expiresInHours, 10) ||
+      parseInt(process.env.BLOG_PREVIEW_EXPIRE_HOURS, 10) || 72;
+    const token = blog.getPreviewToken(expiresInHours);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        token,
+        url: `${frontendUrl()}/blog/${blog.slug}?preview=${encodeURIComponent(token)}`,
+        expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+      }
+    });
+  } catch (error) {
+    console.error('Create preview link error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Toggle like on blog
+// @route   POST /api/blog/:id/like
+// @access  Private
+router.post('/:id/like', rejectApiKeys, protect, async (req, res) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+    if (!blog) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Blog not found'
+      });
+    }
+
+    const liked = blog.likes.some((id) => id.toString() === req.user.id.toString());
+
+    // Atomic, so concurrent likes are not lost, and not an edit of the post
+    const updated = await Blog.findByIdAndUpdate(
+      blog._id,
+      liked ? { $pull: { likes: req.user._id } } : { $addToSet: { likes: req.user._id } },
+      { new: true, timestamps: false }
+    ).select('likes');
+
+    res.json({
+      status: 'success',
+      data: {
+        likes: updated.likes,
+        likeCount: updated.likes.length,
+        isLiked: !liked
       }
     });
   } catch (error) {
@@ -508,14 +1695,108 @@ router.post('/:id/like', protect, async (req, res) => {
   }
 });
 
-// @desc    Add comment to blog
+// Minutes after posting during which authors may edit their comment
+const commentEditWindowMs = () =>
+  (parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+
+// Blog authors and moderators skip the moderation queue
+const initialCommentStatus = (user, blog) =>
+  user.hasPermission('comment:moderate') || blog.author.toString() === user.id.toString()
+    ? 'approved'
+    : 'pending';
+
+// Shape a comment for public responses, hiding the text of deleted ones. Spam
+// scoring is left out and spam shows as pending, so senders learn nothing.
+const serializeComment = (comment, replyCounts = {}) => {
+  const { spamScore, spamReasons, contentHash, ...data } = comment.toObject ? comment.toObject() : comment;
+  return {
+    ...data,
+    status: data.status === 'spam' ? 'pending' : data.status,
+    comment: data.deletedAt ? null : data.comment,
+    user: data.deletedAt ? null : data.user,
+    replyCount: replyCounts[data._id.toString()] || 0
+  };
+};
+
+// @desc    Get comments of a blog, paginated (top level, or replies with ?parent=<commentId>)
+// @route   GET /api/blog/:id/comments
+// @access  Public (signed-in users also see their own pending comments)
+router.get('/:id/comments', optionalAuth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) ||
+      (req.query.parent && !mongoose.Types.ObjectId.isValid(req.query.parent))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid blog or comment id'
+      });
+    }
+
+    const blog = await Blog.findOne({ _id: req.params.id, ...Blog.publishedFilter() }).select('_id');
+    if (!blog) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Blog not found'
+      });
+    }
+
+    const query = {
+      blog: blog._id,
+      parent: req.query.parent || null,
+      ...Comment.visibleTo(req.user)
+    };
+
+    const comments = await Comment.find(query)
+      .populate('user', 'name avatar')
+      .sort({ createdAt: req.query.parent ? 1 : -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-__v -moderatedBy -moderatedAt');
+
+    const replyCounts = Object.fromEntries((await Comment.aggregate([
+      { $match: { parent: { $in: comments.map((comment) => comment._id) }, ...Comment.visibleTo(req.user) } },
+      { $group: { _id: '$parent', count: { $sum: 1 } } }
+    ])).map((row) => [row._id.toString(), row.count]));
+
+    const total = await Comment.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: comments.map((comment) => serializeComment(comment, replyCounts)),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Add comment (or reply with parentId) to blog
 // @route   POST /api/blog/:id/comment
 // @access  Private
-router.post('/:id/comment', protect, [
+router.post('/:id/comment', rejectApiKeys, protect, [
   body('comment')
     .trim()
     .isLength({ min: 1, max: 500 })
-    .withMessage('Comment must be between 1 and 500 characters')
+    .withMessage('Comment must be between 1 and 500 characters'),
+  body('parentId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid parent comment id')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -526,7 +1807,9 @@ router.post('/:id/comment', protect, [
       });
     }
 
-    const blog = await Blog.findById(req.params.id);
+    const blog = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Blog.findOne({ _id: req.params.id, ...Blog.publishedFilter() })
+      : null;
     if (!blog) {
       return res.status(404).json({
         status: 'error',
@@ -534,19 +1817,65 @@ router.post('/:id/comment', protect, [
       });
     }
 
-    blog.comments.push({
+    let parent = null;
+    let depth = 0;
+    if (req.body.parentId) {
+      const parentComment = await Comment.findOne({
+        _id: req.body.parentId,
+        blog: blog._id,
+        status: 'approved',
+        deletedAt: { $exists: false }
+      });
+      if (!parentComment) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Parent comment not found'
+        });
+      }
+
+      // Past the maximum depth, replies join the parent's thread instead
+      if (parentComment.depth >= Comment.MAX_DEPTH - 1) {
+        parent = parentComment.parent;
+        depth = parentComment.depth;
+      } else {
+        parent = parentComment._id;
+        depth = parentComment.depth + 1;
+      }
+    }
+
+    // Moderators are trusted; everyone else is scored, high scores go to spam
+    const spam = await scoreComment({
+      text: req.body.comment,
+      body: req.body,
+      user: req.user,
+      blog
+    });
+    const status = spam.isSpam && !req.user.hasPermission('comment:moderate')
+      ? 'spam'
+      : initialCommentStatus(req.user, blog);
+
+    const comment = await Comment.create({
+      blog: blog._id,
       user: req.user.id,
-      comment: req.body.comment
+      parent,
+      depth,
+      comment: req.body.comment,
+      status,
+      spamScore: spam.score,
+      spamReasons: spam.reasons,
+      contentHash: spam.contentHash
     });
 
-    await blog.save();
+    if (comment.status === 'approved') {
+      await Comment.refreshBlogCounts([blog._id]);
+    }
 
-    const updatedBlog = await Blog.findById(req.params.id)
-      .populate('comments.user', 'name avatar');
+    await comment.populate('user', 'name avatar');
 
-    res.json({
+    res.status(201).json({
       status: 'success',
-      data: updatedBlog.comments
+      message: comment.status !== 'approved' ? 'Your comment is awaiting moderation' : undefined,
+      data: serializeComment(comment)
     });
   } catch (error) {
     console.error('Add comment error:', error);
@@ -558,13 +1887,25 @@ router.post('/:id/comment', protect, [
   }
 });
 
-// @desc    Delete a comment from a blog
-// @route   DELETE /api/blog/:id/comment/:commentId
-// @access  Private (Comment owner or Admin)
-router.delete('/:id/comment/:commentId', protect, async (req, res) => {
+// @desc    Edit own comment within the edit window
+// @route   PUT /api/blog/:id/comment/:commentId
+// @access  Private (Comment owner)
+router.put('/:id/comment/:commentId', rejectApiKeys, protect, [
+  body('comment')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Comment must be between 1 and 500 characters')
+], async (req, res) => {
   try {
-    const { id, commentId } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
 
+    const { id, commentId } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(commentId)) {
       return res.status(400).json({
         status: 'error',
@@ -572,54 +1913,127 @@ router.delete('/:id/comment/:commentId', protect, async (req, res) => {
       });
     }
 
-    const blogObjectId = new mongoose.Types.ObjectId(id);
-    const commentObjectId = new mongoose.Types.ObjectId(commentId);
+    const comment = await Comment.findOne({ _id: commentId, blog: id, deletedAt: { $exists: false } });
+    if (!comment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Comment not found'
+      });
+    }
+
+    if (!comment.user || comment.user.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only edit your own comments'
+      });
+    }
 
-    const blogWithComment = await Blog.findOne(
-      { _id: blogObjectId, 'comments._id': commentObjectId },
-      { 'comments.$': 1, author: 1 }
-    );
+    if (['spam', 'rejected'].includes(comment.status)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'This comment can no longer be edited'
+      });
+    }
 
-    if (!blogWithComment) {
-      return res.status(404).json({
+    if (Date.now() - comment.createdAt.getTime() > commentEditWindowMs()) {
+      return res.status(403).json({
         status: 'error',
-        message: 'Blog or comment not found'
+        code: 'EDIT_WINDOW_CLOSED',
+        message: 'Comments can only be edited shortly after posting'
       });
     }
 
-    const comment = blogWithComment.comments && blogWithComment.comments[0];
-    if (!comment) {
+    // Edits are scored again so a harmless comment cannot become spam later
+    const spam = await scoreComment({
+      text: req.body.comment,
+      body: req.body,
+      user: req.user,
+      blog: { _id: comment.blog },
+      excludeId: comment._id
+    });
+
+    comment.comment = req.body.comment;
+    comment.editedAt = new Date();
+    comment.spamScore = spam.score;
+    comment.spamReasons = spam.reasons;
+    comment.contentHash = spam.contentHash;
+    const wasApproved = comment.status === 'approved';
+    if (spam.isSpam && !req.user.hasPermission('comment:moderate')) {
+      comment.status = 'spam';
+    }
+    await comment.save();
+
+    if (wasApproved && comment.status !== 'approved') {
+      await Comment.refreshBlogCounts([comment.blog]);
+    }
+    await comment.populate('user', 'name avatar');
+
+    res.json({
+      status: 'success',
+      data: serializeComment(comment)
+    });
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Delete a comment from a blog
+// @route   DELETE /api/blog/:id/comment/:commentId
+// @access  Private (Comment owner, blog author or comment:moderate)
+router.delete('/:id/comment/:commentId', rejectApiKeys, protect, async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid blog or comment id'
+      });
+    }
+
+    const [blog, comment] = await Promise.all([
+      Blog.findById(id).select('author'),
+      Comment.findOne({ _id: commentId, blog: id, deletedAt: { $exists: false } })
+    ]);
+
+    if (!blog || !comment) {
       return res.status(404).json({
         status: 'error',
-        message: 'Comment not found'
+        message: 'Blog or comment not found'
       });
     }
 
-    const commentUserId = comment.user && comment.user._id
-      ? comment.user._id.toString()
-      : comment.user?.toString?.();
-    const isOwner = commentUserId === req.user.id.toString();
-    const isAdmin = req.user.role === 'admin';
-    const isBlogAuthor = blogWithComment.author && blogWithComment.author.toString() === req.user.id.toString();
+    const isOwner = comment.user && comment.user.toString() === req.user.id.toString();
+    const isModerator = req.user.hasPermission('comment:moderate');
+    const isBlogAuthor = blog.author && blog.author.toString() === req.user.id.toString();
     
-    if (!isOwner && !isAdmin && !isBlogAuthor) {
+    if (!isOwner && !isModerator && !isBlogAuthor) {
       return res.status(403).json({
         status: 'error',
         message: 'Not authorized to delete this comment'
       });
     }
 
-    await Blog.updateOne(
-      { _id: blogObjectId },
-      { $pull: { comments: { _id: commentObjectId } } }
-    );
+    // Keep the thread readable: comments with replies lose only their text
+    const hasReplies = await Comment.exists({ parent: comment._id });
+    if (hasReplies) {
+      comment.comment = '';
+      comment.deletedAt = new Date();
+      await comment.save();
+    } else {
+      await comment.deleteOne();
+    }
 
-    const updatedBlog = await Blog.findById(blogObjectId)
-      .populate('comments.user', 'name avatar');
+    await Comment.refreshBlogCounts([blog._id]);
 
     res.json({
       status: 'success',
-      data: updatedBlog ? updatedBlog.comments : []
+      message: 'Comment deleted successfully'
     });
   } catch (error) {
     console.error('Delete comment error:', error);
@@ -0,0 +1,195 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Comment = require('../models/Comment');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+const router = express.Router();
+
+const loadComment = (req, id) => Comment.findById(id);
+
+// Moderation actions and the status each one sets
+const MODERATION_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  spam: 'spam',
+  pending: 'pending'
+};
+
+router.use(protect, requirePermission('comment:moderate'));
+
+// @desc    Moderation queue (defaults to pending comments, oldest first; ?sort=score for highest spam score first)
+// @route   GET /api/comments
+// @access  Private (comment:moderate)
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const status = req.query.status || 'pending';
+    if (status !== 'all' && !Comment.COMMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Status must be one of: all, ${Comment.COMMENT_STATUSES.join(', ')}`
+      });
+    }
+
+    const query = { deletedAt: { $exists: false } };
+    if (status !== 'all') query.status = status;
+    if (req.query.blog && mongoose.Types.ObjectId.isValid(req.query.blog)) {
+      query.blog = req.query.blog;
+    }
+
+    const comments = await Comment.find(query)
+      .populate('user', 'name email avatar')
+      .populate('blog', 'title slug')
+      .populate('moderatedBy', 'name')
+      .sort(req.query.sort === 'score'
+        ? { spamScore: -1, createdAt: -1 }
+        : { createdAt: status === 'pending' ? 1 : -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-__v');
+
+    const total = await Comment.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    // Per-status totals for queue tabs
+    const counts = Object.fromEntries(Comment.COMMENT_STATUSES.map((s) => [s, 0]));
+    const grouped = await Comment.aggregate([
+      { $match: { deletedAt: { $exists: false } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    grouped.forEach((row) => { counts[row._id] = row.count; });
+
+    res.json({
+      status: 'success',
+      data: comments,
+      counts,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Apply a moderation action to many comments
+// @route   POST /api/comments/bulk
+// @access  Private (comment:moderate)
+router.post('/bulk', audit('comment', 'update', { name: 'comment.bulk', targetId: () => null }), [
+  body('ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Please provide between 1 and 100 comment ids'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid comment id'),
+  body('action')
+    .isIn([...Object.keys(MODERATION_ACTIONS), 'delete'])
+    .withMessage(`Action must be one of: ${[...Object.keys(MODERATION_ACTIONS), 'delete'].join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const { ids, action } = req.body;
+    const comments = await Comment.find({ _id: { $in: ids } }).select('blog');
+    const blogIds = comments.map((comment) => comment.blog);
+
+    let affected;
+    if (action === 'delete') {
+      // Replies go with the comment they answer
+      const allIds = await Comment.withDescendants(comments.map((comment) => comment._id));
+      const result = await Comment.deleteMany({ _id: { $in: allIds } });
+      affected = result.deletedCount;
+    } else {
+      const result = await Comment.updateMany(
+        { _id: { $in: comments.map((comment) => comment._id) } },
+        { status: MODERATION_ACTIONS[action], moderatedBy: req.user._id, moderatedAt: new Date() }
+      );
+      affected = result.modifiedCount;
+    }
+
+    await Comment.refreshBlogCounts(blogIds);
+
+    res.json({
+      status: 'success',
+      data: {
+        action,
+        ids: comments.map((comment) => comment._id),
+        affected
+      }
+    });
+  } catch (error) {
+    console.error('Bulk moderate comments error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Set the status of one comment
+// @route   PUT /api/comments/:id/status
+// @access  Private (comment:moderate)
+router.put('/:id/status', audit('comment', 'update', { name: 'comment.status', load: loadComment }), [
+  body('status')
+    .isIn(Comment.COMMENT_STATUSES)
+    .withMessage(`Status must be one of: ${Comment.COMMENT_STATUSES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const comment = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Comment.findById(req.params.id)
+      : null;
+    if (!comment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Comment not found'
+      });
+    }
+
+    comment.status = req.body.status;
+    comment.moderatedBy = req.user._id;
+    comment.moderatedAt = new Date();
+    await comment.save();
+
+    await Comment.refreshBlogCounts([comment.blog]);
+
+    res.json({
+      status: 'success',
+      data: comment
+    });
+  } catch (error) {
+    console.error('Moderate comment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
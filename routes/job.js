@@ -1,10 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Job = require('../models/job');
-const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { protect, requirePermission, optionalAuth } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
+const loadJob = (req, id) => Job.findById(id);
+
 // Validation middleware
 const validateJob = [
   body('title')
@@ -179,7 +182,7 @@ router.get('/:slug', optionalAuth, async (req, res) => {
     }
 
     // Increment view count
-    await Job.findByIdAndUpdate(job._id, { $inc: { views: 1 } });
+    await Job.findByIdAndUpdate(job._id, { $inc: { views: 1 } }, { timestamps: false });
 
     res.json({
       status: 'success',
@@ -196,8 +199,8 @@ router.get('/:slug', optionalAuth, async (req, res) => {
 
 // ==================== ADMIN ROUTES ====================
 
-// GET /api/job/admin/all - Get all jobs (admin only)
-router.get('/admin/all', protect, authorize('admin'), async (req, res) => {
+// GET /api/job/admin/all - Get all jobs (job:manage)
+router.get('/admin/all', protect, requirePermission('job:manage'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -245,8 +248,8 @@ router.get('/admin/all', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// POST /api/job - Create new job (admin only)
-router.post('/', protect, authorize('admin'), validateJob, async (req, res) => {
+// POST /api/job - Create new job (job:manage)
+router.post('/', protect, requirePermission('job:manage'), audit('job', 'create', { load: loadJob }), validateJob, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -303,8 +306,8 @@ router.post('/', protect, authorize('admin'), validateJob, async (req, res) => {
   }
 });
 
-// PUT /api/job/:id - Update job (admin only)
-router.put('/:id', protect, authorize('admin'), updateJobValidation, async (req, res) => {
+// PUT /api/job/:id - Update job (job:manage)
+router.put('/:id', protect, requirePermission('job:manage'), audit('job', 'update', { load: loadJob }), updateJobValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -364,8 +367,8 @@ router.put('/:id', protect, authorize('admin'), updateJobValidation, async (req,
   }
 });
 
-// DELETE /api/job/:id - Delete job (admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// DELETE /api/job/:id - Delete job (job:manage)
+router.delete('/:id', protect, requirePermission('job:manage'), audit('job', 'delete', { load: loadJob }), async (req, res) => {
   try {
     const job = await Job.findByIdAndDelete(req.params.id);
     
@@ -389,8 +392,8 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// PUT /api/job/:id/toggle-status - Toggle job status (admin only)
-router.put('/:id/toggle-status', protect, authorize('admin'), async (req, res) => {
+// PUT /api/job/:id/toggle-status - Toggle job status (job:manage)
+router.put('/:id/toggle-status', protect, requirePermission('job:manage'), audit('job', 'update', { name: 'job.toggle-status', load: loadJob }), async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
     
@@ -417,8 +420,8 @@ router.put('/:id/toggle-status', protect, authorize('admin'), async (req, res) =
   }
 });
 
-// GET /api/job/admin/stats - Get job statistics (admin only)
-router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
+// GET /api/job/admin/stats - Get job statistics (job:manage)
+router.get('/admin/stats', protect, requirePermission('job:manage'), async (req, res) => {
   try {
     const stats = await Job.aggregate([
       {
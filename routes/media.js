@@ -1,17 +1,21 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { uploadMultiple, handleUploadError } = require('../middleware/upload');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
 const UPLOADS_DIR = path.join(__dirname, '../uploads');
 
+const uploadedFilenames = (req, body) =>
+  body && Array.isArray(body.data) ? body.data.map((file) => file.filename).join(',') : null;
+
 // @desc    List uploaded images
 // @route   GET /api/media
-// @access  Private (Admin only)
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// @access  Private (media:upload)
+router.get('/', protect, requirePermission('media:upload'), async (req, res) => {
   try {
     const backendUrl = `${req.protocol}://${req.get('host')}`;
     const files = await fs.promises.readdir(UPLOADS_DIR);
@@ -31,8 +35,8 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Upload images (multiple up to limit)
 // @route   POST /api/media
-// @access  Private (Admin only)
-router.post('/', protect, authorize('admin'), uploadMultiple, handleUploadError, (req, res) => {
+// @access  Private (media:upload)
+router.post('/', protect, requirePermission('media:upload'), audit('media', 'create', { targetId: uploadedFilenames }), uploadMultiple, handleUploadError, (req, res) => {
   try {
     const backendUrl = `${req.protocol}://${req.get('host')}`;
     const files = (req.files || []).map((file) => ({
@@ -48,8 +52,8 @@ router.post('/', protect, authorize('admin'), uploadMultiple, handleUploadError,
 
 // @desc    Delete an image by filename
 // @route   DELETE /api/media/:filename
-// @access  Private (Admin only)
-router.delete('/:filename', protect, authorize('admin'), async (req, res) => {
+// @access  Private (media:delete)
+router.delete('/:filename', protect, requirePermission('media:delete'), audit('media', 'delete', { load: (req) => ({ filename: req.params.filename }) }), async (req, res) => {
   try {
     const raw = req.params.filename;
     // Disallow path separators and parent traversal
@@ -0,0 +1,224 @@
+const express = require('express');
+const Blog = require('../models/Blog');
+const Job = require('../models/job');
+const Asset = require('../models/Asset');
+const { absoluteUrl } = require('../utils/feeds');
+const { plainText } = require('../utils/renderContent');
+const { searchTerms, termCoverage, snippet } = require('../utils/textSearch');
+const { statsSignature } = require('../utils/contentStats');
+const { frontendUrl, backendUrl } = require('../utils/urls');
+
+const router = express.Router();
+
+// What each result type searches: published blogs, open jobs and site assets.
+// find() returns the best matches as { type, title, url, text, textScore }.
+const SOURCES = {
+  blog: {
+    model: Blog,
+    query: (search) => ({ ...Blog.publishedFilter(), $text: { $search: search } }),
+    find: async (query, limit) => {
+      const blogs = await Blog.find(query, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit)
+        .select('title slug excerpt contentHtml')
+        .lean();
+      return blogs.map((blog) => ({
+        type: 'blog',
+        title: blog.title,
+        url: `${frontendUrl()}/blog/${blog.slug}`,
+        text: plainText(blog.contentHtml) || blog.excerpt,
+        textScore: blog.score
+      }));
+    }
+  },
+  job: {
+    model: Job,
+    query: (search) => ({ isActive: true, $text: { $search: search } }),
+    find: async (query, limit) => {
+      const jobs = await Job.find(query, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit)
+        .select('title slug shortDescription')
+        .lean();
+      return jobs.map((job) => ({
+        type: 'job',
+        title: job.title,
+        url: `${frontendUrl()}/careers/${job.slug}`,
+        text: job.shortDescription,
+        textScore: job.score
+      }));
+    }
+  },
+  asset: {
+    model: Asset,
+    query: (search) => ({ $text: { $search: search } }),
+    find: async (query, limit) => {
+      const assets = await Asset.find(query, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit)
+        .lean();
+      return assets.map((asset) => ({
+        type: 'asset',
+        title: asset.alt || asset.key,
+        url: absoluteUrl(asset.url, backendUrl()),
+        text: asset.alt ? `${asset.key} - ${asset.alt}` : asset.key,
+        textScore: asset.score
+      }));
+    }
+  }
+};
+
+const SEARCH_TYPES = Object.keys(SOURCES);
+
+// Text scores are only comparable within one collection, so each is scaled
+// against the best match of its type, then blended with how many of the query
+// terms appear in the title. Scores run from 0 to 1.
+const scoreResults = (results, terms) => {
+  const best = Math.max(...results.map((result) => result.textScore), 0) || 1;
+  return results.map((result) => ({
+    type: result.type,
+    title: result.title,
+    url: result.url,
+    snippet: snippet(result.text, terms),
+    score: Math.round(((result.textScore / best) * 0.6 + termCoverage(result.title, terms) * 0.4) * 1000) / 1000
+  }));
+};
+
+// ?type=blog,job; all types when not given
+const parseTypes = (value) => {
+  if (!value) return SEARCH_TYPES;
+  const types = [...new Set(String(value).split(',').map((type) => type.trim()).filter(Boolean))];
+  return types.every((type) => SEARCH_TYPES.includes(type)) ? types : null;
+};
+
+// @desc    Search published blogs, open jobs and assets together, best matches first
+// @route   GET /api/search?q=
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const search = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 200) : '';
+    if (!search) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a search query'
+      });
+    }
+
+    const types = parseTypes(req.query.type);
+    if (!types) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Type must be one or more of: ${SEARCH_TYPES.join(', ')}`
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const skip = (page - 1) * limit;
+    const terms = searchTerms(search);
+
+    // Any page of the merged list only draws on the first skip + limit of each type
+    const counts = {};
+    let results = [];
+    for (const type of types) {
+      const source = SOURCES[type];
+      const query = source.query(search);
+      counts[type] = await source.model.countDocuments(query);
+      if (counts[type]) {
+        results.push(...scoreResults(await source.find(query, skip + limit), terms));
+      }
+    }
+    results = results
+      .sort((a, b) => b.score - a.score || SEARCH_TYPES.indexOf(a.type) - SEARCH_TYPES.indexOf(b.type))
+      .slice(skip, skip + limit);
+
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: results,
+      counts,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Site search error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// Titles of published blogs and open jobs plus blog tags, rebuilt when either changes
+let suggestions = { signature: null, entries: [] };
+const loadSuggestions = async () => {
+  const signature = [await Blog.publishedStats(), await Job.activeStats()]
+    .map(statsSignature)
+    .join(';');
+
+  if (suggestions.signature !== signature) {
+    const blogs = await Blog.find(Blog.publishedFilter()).select('title slug tags').lean();
+    const jobs = await Job.find({ isActive: true }).select('title slug').lean();
+
+    const tagCounts = new Map();
+    blogs.forEach((blog) => (blog.tags || []).forEach((tag) => {
+      const key = tag.toLowerCase();
+      tagCounts.set(key, (tagCounts.get(key) || 0) + 1);
+    }));
+
+    suggestions = {
+      signature,
+      entries: [
+        ...blogs.map((blog) => ({ text: blog.title, type: 'blog', url: `${frontendUrl()}/blog/${blog.slug}`, weight: 1 })),
+        ...jobs.map((job) => ({ text: job.title, type: 'job', url: `${frontendUrl()}/careers/${job.slug}`, weight: 1 })),
+        ...[...tagCounts].map(([tag, count]) => ({ text: tag, type: 'tag', weight: count }))
+      ].map((entry) => ({ ...entry, words: entry.text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean) }))
+    };
+  }
+  return suggestions.entries;
+};
+
+// @desc    Typeahead suggestions from blog and job titles and blog tags
+// @route   GET /api/search/suggest?q=
+// @access  Public
+router.get('/suggest', async (req, res) => {
+  try {
+    const search = typeof req.query.q === 'string' ? req.query.q.trim().toLowerCase().slice(0, 100) : '';
+    const limit = Math.min(parseInt(req.query.limit) || 8, 20);
+    const prefixes = search.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (search.length < 2 || !prefixes.length) {
+      return res.json({ status: 'success', data: [] });
+    }
+
+    // Every typed word has to start one of the entry's words; entries starting
+    // with the whole input rank first, then popular tags, then shorter text
+    const data = (await loadSuggestions())
+      .filter((entry) => prefixes.every((prefix) => entry.words.some((word) => word.startsWith(prefix))))
+      .map((entry) => ({ entry, leading: entry.text.toLowerCase().startsWith(search) ? 0 : 1 }))
+      .sort((a, b) => a.leading - b.leading ||
+        b.entry.weight - a.entry.weight ||
+        a.entry.text.length - b.entry.text.length)
+      .slice(0, limit)
+      .map(({ entry }) => ({ text: entry.text, type: entry.type, url: entry.url }));
+
+    res.json({
+      status: 'success',
+      data
+    });
+  } catch (error) {
+    console.error('Search suggestions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const { sitemapIndex, sitemapPage } = require('../utils/sitemap');
+const { backendUrl } = require('../utils/urls');
+
+const router = express.Router();
+
+// Send a sitemap document, answering conditional requests with 304
+const sendXml = (req, res, { xml, signature, lastmod }) => {
+  res.set({
+    ETag: `W/"${Buffer.from(signature).toString('base64url')}"`,
+    'Cache-Control': 'public, max-age=300'
+  });
+  if (lastmod) res.set('Last-Modified', lastmod.toUTCString());
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.type('application/xml; charset=utf-8').send(xml);
+};
+
+// @desc    Sitemap index listing the blog, job and category sitemaps
+// @route   GET /sitemap.xml
+// @access  Public
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    sendXml(req, res, await sitemapIndex());
+  } catch (error) {
+    console.error('Get sitemap index error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    One page of a child sitemap (blogs, jobs or categories)
+// @route   GET /sitemap-:section-:page.xml
+// @access  Public
+router.get('/sitemap-:section([a-z]+)-:page(\\d+).xml', async (req, res) => {
+  try {
+    const sitemap = await sitemapPage(req.params.section, parseInt(req.params.page, 10));
+    if (!sitemap) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sitemap not found'
+      });
+    }
+
+    sendXml(req, res, sitemap);
+  } catch (error) {
+    console.error('Get sitemap error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Crawler rules pointing at the sitemap index
+// @route   GET /robots.txt
+// @access  Public
+router.get('/robots.txt', (req, res) => {
+  res.type('text/plain').send([
+    'User-agent: *',
+    'Allow: /api/blog/feed.',
+    'Disallow: /api/',
+    '',
+    `Sitemap: ${backendUrl()}/sitemap.xml`,
+    ''
+  ].join('\n'));
+});
+
+module.exports = router;
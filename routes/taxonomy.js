@@ -0,0 +1,422 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+// Blog categories and tags. Mounted at /api/blog ahead of the blog routes, so
+// /categories and /tags are not taken for post slugs.
+const router = express.Router();
+
+const loadCategory = (req, id) => (mongoose.Types.ObjectId.isValid(id) ? Category.findById(id) : null);
+const loadTag = (req, id) => (mongoose.Types.ObjectId.isValid(id) ? Tag.findById(id) : null);
+
+const TAXONOMY_FIELDS = ['name', 'slug', 'description', 'color', 'seoTitle', 'seoDescription', 'order'];
+
+const pickFields = (source) => Object.fromEntries(
+  TAXONOMY_FIELDS.filter((field) => source[field] !== undefined).map((field) => [field, source[field]])
+);
+
+// Shared by categories and tags; name is required on create only
+const taxonomyValidation = (isCreate) => [
+  (isCreate ? body('name') : body('name').optional())
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('slug')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug may only contain lowercase letters, numbers and single hyphens'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('color')
+    .optional({ values: 'falsy' })
+    .matches(/^#[0-9a-f]{6}$/i)
+    .withMessage('Color must be a hex value such as #1a2b3c'),
+  body('seoTitle')
+    .optional()
+    .trim()
+    .isLength({ max: 60 })
+    .withMessage('SEO title cannot be more than 60 characters'),
+  body('seoDescription')
+    .optional()
+    .trim()
+    .isLength({ max: 160 })
+    .withMessage('SEO description cannot be more than 160 characters'),
+  body('order')
+    .optional()
+    .isInt()
+    .withMessage('Order must be a whole number')
+    .toInt()
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    status: 'error',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Responds to duplicate and validation errors; returns false for anything else
+const sendSaveError = (res, error, entity) => {
+  if (error && error.code === 11000) {
+    res.status(409).json({
+      status: 'error',
+      message: `A ${entity} with this name or slug already exists`
+    });
+    return true;
+  }
+  if (error && error.name === 'ValidationError') {
+    res.status(400).json({
+      status: 'error',
+      message: Object.values(error.errors).map((err) => err.message).join(', ')
+    });
+    return true;
+  }
+  return false;
+};
+
+// Published posts per category name
+const categoryCounts = async () => {
+  const rows = await Blog.aggregate([
+    { $match: Blog.publishedFilter() },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map((row) => [row._id, row.count]));
+};
+
+// Published posts per lower-cased tag name
+const tagCounts = async () => {
+  const rows = await Blog.aggregate([
+    { $match: Blog.publishedFilter() },
+    { $unwind: '$tags' },
+    { $group: { _id: { $toLower: '$tags' }, count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map((row) => [row._id, row.count]));
+};
+
+// ==================== PUBLIC ROUTES ====================
+
+// @desc    List categories with their published post counts (?hideEmpty=true to skip unused ones)
+// @route   GET /api/blog/categories
+// @access  Public
+router.get('/categories', async (req, res) => {
+  try {
+    const categories = await Category.find().sort({ order: 1, name: 1 }).select('-__v').lean();
+    const counts = await categoryCounts();
+
+    const data = categories
+      .map((category) => ({ ...category, postCount: counts.get(category.name) || 0 }))
+      .filter((category) => req.query.hideEmpty !== 'true' || category.postCount > 0);
+
+    res.json({
+      status: 'success',
+      data
+    });
+  } catch (error) {
+    console.error('List categories error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    List tags with their published post counts (?hideEmpty=true, ?limit=)
+// @route   GET /api/blog/tags
+// @access  Public
+router.get('/tags', async (req, res) => {
+  try {
+    const tags = await Tag.find().select('-__v').lean();
+    const counts = await tagCounts();
+    const limit = parseInt(req.query.limit) || 0;
+
+    let data = tags
+      .map((tag) => ({ ...tag, postCount: counts.get(tag.name.toLowerCase()) || 0 }))
+      .filter((tag) => req.query.hideEmpty !== 'true' || tag.postCount > 0)
+      .sort((a, b) => a.order - b.order || b.postCount - a.postCount || a.name.localeCompare(b.name));
+    if (limit > 0) {
+      data = data.slice(0, limit);
+    }
+
+    res.json({
+      status: 'success',
+      data
+    });
+  } catch (error) {
+    console.error('List tags error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// ==================== ADMIN ROUTES ====================
+
+// @desc    Create a category
+// @route   POST /api/blog/categories
+// @access  Private (blog:taxonomy)
+router.post('/categories', protect, requirePermission('blog:taxonomy'), audit('category', 'create', { load: loadCategory }), taxonomyValidation(true), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const category = await Category.create(pickFields(req.body));
+
+    res.status(201).json({
+      status: 'success',
+      data: category
+    });
+  } catch (error) {
+    if (sendSaveError(res, error, 'category')) return;
+    console.error('Create category error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update a category; renaming it renames it on every post
+// @route   PUT /api/blog/categories/:id
+// @access  Private (blog:taxonomy)
+router.put('/categories/:id', protect, requirePermission('blog:taxonomy'), audit('category', 'update', { load: loadCategory }), taxonomyValidation(false), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const category = await loadCategory(req, req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Category not found'
+      });
+    }
+
+    const previousName = category.name;
+    category.set(pickFields(req.body));
+    await category.save();
+
+    let postsUpdated = 0;
+    if (category.name !== previousName) {
+      const result = await Blog.updateMany({ category: previousName }, { category: category.name })
+        .editedBy(req.user.id);
+      postsUpdated = result.modifiedCount;
+    }
+
+    res.json({
+      status: 'success',
+      data: category,
+      postsUpdated
+    });
+  } catch (error) {
+    if (sendSaveError(res, error, 'category')) return;
+    console.error('Update category error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete a category. Posts using it must be moved with ?reassignTo=<category name>.
+// @route   DELETE /api/blog/categories/:id
+// @access  Private (blog:taxonomy)
+router.delete('/categories/:id', protect, requirePermission('blog:taxonomy'), audit('category', 'delete', { load: loadCategory }), async (req, res) => {
+  try {
+    const category = await loadCategory(req, req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Category not found'
+      });
+    }
+
+    const postCount = await Blog.countDocuments({ category: category.name });
+    let postsUpdated = 0;
+    if (postCount) {
+      const target = req.query.reassignTo
+        ? await Category.findOne({ name: String(req.query.reassignTo) })
+        : null;
+      if (!target || target._id.equals(category._id)) {
+        return res.status(409).json({
+          status: 'error',
+          message: `Category is used by ${postCount} post(s); pass reassignTo with another category name to move them`
+        });
+      }
+      const result = await Blog.updateMany({ category: category.name }, { category: target.name })
+        .editedBy(req.user.id);
+      postsUpdated = result.modifiedCount;
+    }
+
+    await category.deleteOne();
+
+    res.json({
+      status: 'success',
+      message: 'Category deleted successfully',
+      postsUpdated
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create a tag
+// @route   POST /api/blog/tags
+// @access  Private (blog:taxonomy)
+router.post('/tags', protect, requirePermission('blog:taxonomy'), audit('tag', 'create', { load: loadTag }), taxonomyValidation(true), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const tag = await Tag.create(pickFields(req.body));
+
+    res.status(201).json({
+      status: 'success',
+      data: tag
+    });
+  } catch (error) {
+    if (sendSaveError(res, error, 'tag')) return;
+    console.error('Create tag error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update a tag; renaming it renames it on every post
+// @route   PUT /api/blog/tags/:id
+// @access  Private (blog:taxonomy)
+router.put('/tags/:id', protect, requirePermission('blog:taxonomy'), audit('tag', 'update', { load: loadTag }), taxonomyValidation(false), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const tag = await loadTag(req, req.params.id);
+    if (!tag) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Tag not found'
+      });
+    }
+
+    const previousName = tag.name;
+    const updates = pickFields(req.body);
+    if (updates.name && updates.name.toLowerCase() !== previousName.toLowerCase()) {
+      const existing = await Tag.findByName(updates.name);
+      if (existing) {
+        return res.status(409).json({
+          status: 'error',
+          message: `Tag "${existing.name}" already exists; merge into it instead`
+        });
+      }
+    }
+
+    tag.set(updates);
+    await tag.save();
+
+    const postsUpdated = tag.name !== previousName
+      ? await Tag.rewritePosts([previousName], tag.name, req.user.id)
+      : 0;
+
+    res.json({
+      status: 'success',
+      data: tag,
+      postsUpdated
+    });
+  } catch (error) {
+    if (sendSaveError(res, error, 'tag')) return;
+    console.error('Update tag error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Merge a tag into another: its posts get the other tag and it is deleted
+// @route   POST /api/blog/tags/:id/merge
+// @access  Private (blog:taxonomy)
+router.post('/tags/:id/merge', protect, requirePermission('blog:taxonomy'), audit('tag', 'delete', { name: 'tag.merge', load: loadTag }), [
+  body('into')
+    .isMongoId()
+    .withMessage('Please provide the id of the tag to merge into')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const tag = await loadTag(req, req.params.id);
+    const target = await loadTag(req, req.body.into);
+    if (!tag || !target) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Tag not found'
+      });
+    }
+    if (tag._id.equals(target._id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A tag cannot be merged into itself'
+      });
+    }
+
+    const postsUpdated = await Tag.rewritePosts([tag.name], target.name, req.user.id);
+    await tag.deleteOne();
+
+    res.json({
+      status: 'success',
+      data: target,
+      postsUpdated
+    });
+  } catch (error) {
+    console.error('Merge tag error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete a tag and remove it from every post
+// @route   DELETE /api/blog/tags/:id
+// @access  Private (blog:taxonomy)
+router.delete('/tags/:id', protect, requirePermission('blog:taxonomy'), audit('tag', 'delete', { load: loadTag }), async (req, res) => {
+  try {
+    const tag = await loadTag(req, req.params.id);
+    if (!tag) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Tag not found'
+      });
+    }
+
+    const postsUpdated = await Tag.rewritePosts([tag.name], null, req.user.id);
+    await tag.deleteOne();
+
+    res.json({
+      status: 'success',
+      message: 'Tag deleted successfully',
+      postsUpdated
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
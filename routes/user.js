@@ -1,14 +1,20 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { ROLE_NAMES } = require('../config/roles');
+const { purgeUser } = require('../utils/accountDeletion');
 
 const router = express.Router();
 
-// @desc    Get all users (admin only)
+const loadUser = (req, id) => User.findById(id);
+
+// @desc    Get all users
 // @route   GET /api/user
-// @access  Private (Admin only)
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// @access  Private (user:manage)
+router.get('/', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -45,8 +51,8 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Get single user
 // @route   GET /api/user/:id
-// @access  Private (Admin only)
-router.get('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (user:manage)
+router.get('/:id', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     
@@ -70,13 +76,13 @@ router.get('/:id', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @desc    Update user role (admin only)
+// @desc    Update user role
 // @route   PUT /api/user/:id/role
-// @access  Private (Admin only)
-router.put('/:id/role', protect, authorize('admin'), [
+// @access  Private (user:manage)
+router.put('/:id/role', protect, requirePermission('user:manage'), audit('user', 'update', { name: 'user.role', load: loadUser }), [
   body('role')
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin')
+    .isIn(ROLE_NAMES)
+    .withMessage(`Role must be one of: ${ROLE_NAMES.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -87,9 +93,10 @@ router.put('/:id/role', protect, authorize('admin'), [
       });
     }
 
+    // Bumping tokenVersion makes existing access tokens carry the new role on next refresh
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      { role: req.body.role },
+      { role: req.body.role, $inc: { tokenVersion: 1 } },
       { new: true, runValidators: true }
     ).select('-password');
 
@@ -113,10 +120,10 @@ router.put('/:id/role', protect, authorize('admin'), [
   }
 });
 
-// @desc    Toggle user active status (admin only)
+// @desc    Toggle user active status
 // @route   PUT /api/user/:id/status
-// @access  Private (Admin only)
-router.put('/:id/status', protect, authorize('admin'), async (req, res) => {
+// @access  Private (user:manage)
+router.put('/:id/status', protect, requirePermission('user:manage'), audit('user', 'update', { name: 'user.status', load: loadUser }), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -127,9 +134,21 @@ router.put('/:id/status', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot change the status of your own account'
+      });
+    }
+
     user.isActive = !user.isActive;
     await user.save();
 
+    // Suspension signs the user out everywhere
+    if (!user.isActive) {
+      await Session.revokeAllForUser(user._id);
+    }
+
     res.json({
       status: 'success',
       data: {
@@ -148,10 +167,39 @@ router.put('/:id/status', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @desc    Delete user (admin only)
+// @desc    Unlock an account locked by failed login attempts
+// @route   PUT /api/user/:id/unlock
+// @access  Private (user:manage)
+router.put('/:id/unlock', protect, requirePermission('user:manage'), audit('user', 'update', { name: 'user.unlock', load: loadUser }), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    await User.resetLoginAttempts(user._id);
+
+    res.json({
+      status: 'success',
+      message: 'User account unlocked'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete user
 // @route   DELETE /api/user/:id
-// @access  Private (Admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (user:manage)
+router.delete('/:id', protect, requirePermission('user:manage'), audit('user', 'delete', { load: loadUser }), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -170,7 +218,8 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
-    await User.findByIdAndDelete(req.params.id);
+    // Also removes the user's likes and anonymises their comments
+    await purgeUser(user._id);
 
     res.json({
       status: 'success',
@@ -185,10 +234,10 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @desc    Get user statistics (admin only)
+// @desc    Get user statistics
 // @route   GET /api/user/stats/overview
-// @access  Private (Admin only)
-router.get('/stats/overview', protect, authorize('admin'), async (req, res) => {
+// @access  Private (user:manage)
+router.get('/stats/overview', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const activeUsers = await User.countDocuments({ isActive: true });
@@ -196,6 +245,11 @@ router.get('/stats/overview', protect, authorize('admin'), async (req, res) => {
     const recentUsers = await User.countDocuments({
       createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
     });
+    const lockedUsers = await User.countDocuments({ lockUntil: { $gt: new Date() } });
+    const roleStats = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
 
     res.json({
       status: 'success',
@@ -204,7 +258,9 @@ router.get('/stats/overview', protect, authorize('admin'), async (req, res) => {
         activeUsers,
         adminUsers,
         recentUsers,
-        inactiveUsers: totalUsers - activeUsers
+        inactiveUsers: totalUsers - activeUsers,
+        lockedUsers,
+        byRole: roleStats
       }
     });
   } catch (error) {
@@ -216,4 +272,4 @@ router.get('/stats/overview', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router; 
\ No newline at end of file
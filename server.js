@@ -5,6 +5,16 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const MongoRateLimitStore = require('./utils/mongoRateLimitStore');
+const { runScheduledDeletions } = require('./utils/accountDeletion');
+const { startBlogScheduler } = require('./utils/blogScheduler');
+const { refreshRelatedPosts } = require('./utils/relatedPosts');
+const { checkMailConfig } = require('./utils/mail');
+const Blog = require('./models/Blog');
+const Comment = require('./models/Comment');
+const Category = require('./models/Category');
+const Tag = require('./models/Tag');
 
 console.log('Loading environment variables...');
 require('dotenv').config({ path: './config.env' });
@@ -14,6 +24,9 @@ console.log('NODE_ENV:', process.env.NODE_ENV);
 console.log('JWT_SECRET exists:', !!process.env.JWT_SECRET);
 console.log('MONGODB_URI exists:', !!process.env.MONGODB_URI);
 
+// Fail now rather than on the first password reset
+checkMailConfig();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
   console.error('❌ Unhandled Promise Rejection at:', promise, 'reason:', reason);
@@ -28,6 +41,7 @@ process.on('uncaughtException', (error) => {
 console.log('Importing route files...');
 const authRoutes = require('./routes/auth');
 console.log('✅ Auth routes imported');
+const taxonomyRoutes = require('./routes/taxonomy');
 const blogRoutes = require('./routes/blog');
 console.log('✅ Blog routes imported');
 const userRoutes = require('./routes/user');
@@ -35,6 +49,11 @@ console.log('✅ User routes imported');
 const jobRoutes = require('./routes/job');
 const mediaRoutes = require('./routes/media');
 const assetsRoutes = require('./routes/assets');
+const apiKeyRoutes = require('./routes/apiKeys');
+const auditRoutes = require('./routes/audit');
+const commentRoutes = require('./routes/comments');
+const searchRoutes = require('./routes/search');
+const sitemapRoutes = require('./routes/sitemap');
 console.log('✅ Job routes imported');
 
 console.log('Creating Express app...');
@@ -71,16 +90,29 @@ app.use(helmet({
 }));
 console.log('✅ Helmet + CORS middleware added');
 
+// ----------------- REQUEST ID -----------------
+// Reuse an upstream X-Request-Id when it looks sane, so logs and audit entries correlate
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
 // ----------------- BODY PARSING -----------------
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 console.log('✅ Body parsing middleware added');
 
 // ----------------- RATE LIMITING -----------------
+// Counters live in MongoDB so limits survive restarts and apply across instances.
+// If the store is unreachable, requests are let through rather than failing.
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
-  message: 'Too many requests, please try again later.'
+  message: 'Too many requests, please try again later.',
+  store: new MongoRateLimitStore({ prefix: 'rl:api:' }),
+  passOnStoreError: true
 });
 app.use('/api/', limiter);
 console.log('✅ Rate limiting middleware added');
@@ -89,6 +121,8 @@ const authLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 10, // allow 10 requests per IP per minute
   message: "Too many login attempts, please try again later.",
+  store: new MongoRateLimitStore({ prefix: 'rl:auth:' }),
+  passOnStoreError: true
 });
 app.use("/api/auth", authLimiter);
 console.log("✅ Auth-specific rate limiter added");
@@ -151,6 +185,9 @@ console.log('✅ Static files middleware added');
 // ----------------- ROUTES -----------------
 app.use('/api/auth', authRoutes);
 console.log('✅ Auth routes mounted at /api/auth');
+// Before the blog routes so /categories and /tags are not read as post slugs
+app.use('/api/blog', taxonomyRoutes);
+console.log('✅ Blog category and tag routes mounted at /api/blog');
 app.use('/api/blog', blogRoutes);
 console.log('✅ Blog routes mounted at /api/blog');
 app.use('/api/user', userRoutes);
@@ -161,6 +198,16 @@ app.use('/api/media', mediaRoutes);
 console.log('✅ Media routes mounted at /api/media');
 app.use('/api/assets', assetsRoutes);
 console.log('✅ Assets routes mounted at /api/assets');
+app.use('/api/api-keys', apiKeyRoutes);
+console.log('✅ API key routes mounted at /api/api-keys');
+app.use('/api/audit', auditRoutes);
+console.log('✅ Audit routes mounted at /api/audit');
+app.use('/api/comments', commentRoutes);
+console.log('✅ Comment moderation routes mounted at /api/comments');
+app.use('/api/search', searchRoutes);
+console.log('✅ Search routes mounted at /api/search');
+app.use('/', sitemapRoutes);
+console.log('✅ Sitemap and robots.txt routes mounted at /');
 
 // ----------------- ROOT ROUTE -----------------
 app.get('/', (req, res) => {
@@ -203,6 +250,42 @@ mongoose.connect(process.env.MONGODB_URI)
     console.log('✅ Connected to MongoDB successfully');
     console.log('Database:', mongoose.connection.db.databaseName);
     console.log('MongoDB connection ready');
+
+    // Purge accounts whose deletion grace period has ended, hourly
+    const purgeDueAccounts = () => runScheduledDeletions()
+      .catch((err) => console.error('❌ Scheduled account deletion failed:', err));
+    purgeDueAccounts();
+    setInterval(purgeDueAccounts, 60 * 60 * 1000).unref();
+
+    // Publish/unpublish scheduled blogs, catching up on anything missed while down
+    startBlogScheduler();
+
+    // Move comments still embedded in blog documents into their own collection
+    Comment.migrateEmbeddedComments()
+      .then((count) => count && console.log(`✅ Migrated ${count} embedded comments`))
+      .catch((err) => console.error('❌ Comment migration failed:', err));
+
+    // Put the categories and tags posts already use under management
+    Category.seedDefaults()
+      .then((count) => count && console.log(`✅ Created ${count} blog categories`))
+      .catch((err) => console.error('❌ Category seeding failed:', err));
+    Blog.distinct('tags')
+      .then((tags) => Tag.registerNames(tags))
+      .then((count) => count && console.log(`✅ Registered ${count} blog tags`))
+      .catch((err) => console.error('❌ Tag registration failed:', err));
+
+    // Precompute related posts so the first readers need not wait
+    refreshRelatedPosts();
+
+    // Replace a blog text index from an older definition with the weighted search index
+    Blog.syncSearchIndex()
+      .then((count) => count && console.log('✅ Rebuilt blog search index'))
+      .catch((err) => console.error('❌ Blog search index sync failed:', err));
+
+    // Render content and compute reading stats for posts saved before these existed
+    Blog.backfillDerivedFields()
+      .then((count) => count && console.log(`✅ Backfilled derived fields for ${count} blogs`))
+      .catch((err) => console.error('❌ Blog backfill failed:', err));
   })
   .catch((err) => {
     console.error('❌ MongoDB connection error:', err);
@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, makeUser, stubAccounts, signIn, startApp } = require('./helpers');
+const User = require('../models/User');
+const Blog = require('../models/Blog');
+const Session = require('../models/Session');
+const totp = require('../utils/totp');
+const accountDeletion = require('../utils/accountDeletion');
+const authRoutes = require('../routes/auth');
+
+let app;
+before(async () => {
+  app = await startApp({ '/api/auth': authRoutes });
+});
+after(() => app.close());
+
+// Sign the user in with a session started `ageMs` ago, and stub what DELETE /me touches
+const signInAgo = (t, user, ageMs = 0) => {
+  const { session, token } = signIn(user);
+  session.createdAt = new Date(Date.now() - ageMs);
+  stubAccounts(t, { users: [user], sessions: [session] });
+  t.mock.method(Blog, 'countDocuments', async () => 0);
+  const revokeAll = t.mock.method(Session, 'revokeAllForUser', async () => ({}));
+  return { session, token, revokeAll };
+};
+
+const deleteAccount = (token, body = {}) => app.request('DELETE', '/api/auth/me', { token, body });
+
+test('deleting an account needs the password', async (t) => {
+  const user = makeUser({ password: 'correct-horse' });
+  const { session, token, revokeAll } = signInAgo(t, user);
+
+  const missing = await deleteAccount(token);
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.code, 'REAUTHENTICATION_REQUIRED');
+
+  const wrong = await deleteAccount(token, { password: 'wrong' });
+  assert.equal(wrong.status, 400);
+  assert.equal(user.deletionScheduledFor, undefined);
+
+  const res = await deleteAccount(token, { password: 'correct-horse' });
+  assert.equal(res.status, 200);
+  assert.ok(user.deletionScheduledFor > new Date());
+  // Other devices are signed out, the current session stays to allow a restore
+  assert.deepEqual(revokeAll.mock.calls[0].arguments, [user._id, 'revoked', session._id.toString()]);
+});
+
+test('a two-factor code confirms the deletion once', async (t) => {
+  const user = makeUser({ twoFactorEnabled: true, twoFactorSecret: totp.generateSecret() });
+  const { token } = signInAgo(t, user);
+  const code = totp.generate(user.twoFactorSecret);
+
+  assert.equal((await deleteAccount(token, { code })).status, 200);
+
+  user.deletionScheduledFor = undefined;
+  assert.equal((await deleteAccount(token, { code })).status, 400);
+  assert.equal(user.deletionScheduledFor, undefined);
+});
+
+test('Google accounts confirm by having just signed in again', async (t) => {
+  const user = makeUser({ googleId: 'google-ada' });
+  const { token } = signInAgo(t, user, 60 * 1000);
+
+  const res = await deleteAccount(token);
+
+  assert.equal(res.status, 200);
+  assert.ok(user.deletionScheduledFor);
+});
+
+test('Google accounts with an older session must sign in again first', async (t) => {
+  const user = makeUser({ googleId: 'google-ada' });
+  const { token } = signInAgo(t, user, 60 * 60 * 1000);
+
+  const res = await deleteAccount(token);
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'REAUTHENTICATION_REQUIRED');
+  assert.match(res.body.message, /sign in with Google again/);
+  assert.equal(user.deletionScheduledFor, undefined);
+});
+
+test('a recent session does not stand in for the password of a password account', async (t) => {
+  const user = makeUser({ password: 'correct-horse' });
+  const { token } = signInAgo(t, user);
+
+  const res = await deleteAccount(token);
+
+  assert.equal(res.status, 400);
+  assert.equal(user.deletionScheduledFor, undefined);
+});
+
+test('accounts given posts during the grace period are not purged', async (t) => {
+  const kept = makeUser({ deletionScheduledFor: new Date(Date.now() - 1000) });
+  const purged = makeUser({ deletionScheduledFor: new Date(Date.now() - 1000) });
+  t.mock.method(User, 'find', () => query([kept, purged]));
+  t.mock.method(Blog, 'exists', async ({ author }) => (author === kept._id ? { _id: author } : null));
+  const purge = t.mock.method(accountDeletion, 'purgeUser', async () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'log', () => {});
+
+  const removed = await accountDeletion.runScheduledDeletions();
+
+  assert.equal(removed, 1);
+  assert.deepEqual(purge.mock.calls.map((call) => call.arguments[0]), [purged._id]);
+});
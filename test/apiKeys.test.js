@@ -0,0 +1,149 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { query, makeUser, stubAccounts, signIn, startApp } = require('./helpers');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const { protect, requirePermission, rejectApiKeys } = require('../middleware/auth');
+const apiKeyRoutes = require('../routes/apiKeys');
+
+// A route per permission an API key might be asked for
+const guarded = express.Router();
+['job:manage', 'blog:publish', 'apikey:manage', 'user:manage'].forEach((permission) => {
+  guarded.get(`/${permission}`, protect, requirePermission(permission), (req, res) => res.json({ status: 'success' }));
+});
+guarded.get('/personal', rejectApiKeys, protect, (req, res) => res.json({ status: 'success' }));
+
+let app;
+before(async () => {
+  app = await startApp({ '/guarded': guarded, '/api/api-keys': apiKeyRoutes });
+});
+after(() => app.close());
+
+// Keep created keys in memory and serve the lookups the middleware makes
+const stubKeys = (t) => {
+  const keys = [];
+  t.mock.method(ApiKey, 'create', async (fields) => {
+    const apiKey = new ApiKey(fields);
+    keys.push(apiKey);
+    return apiKey;
+  });
+  t.mock.method(ApiKey, 'findOne', ({ prefix }) => query(keys.find((key) => key.prefix === prefix) || null));
+  t.mock.method(ApiKey, 'findById', (id) => query(keys.find((key) => key.id === String(id)) || null));
+  t.mock.method(ApiKey, 'updateOne', async () => ({ acknowledged: true }));
+  t.mock.method(AuditLog, 'create', async () => ({}));
+  return keys;
+};
+
+const withKey = (rawKey) => ({ headers: { Authorization: `ApiKey ${rawKey}` } });
+
+test('admins create keys, and a key only passes checks for its scopes', async (t) => {
+  const admin = makeUser({ role: 'admin' });
+  const { session, token } = signIn(admin);
+  stubAccounts(t, { users: [admin], sessions: [session] });
+  stubKeys(t);
+
+  const created = await app.request('POST', '/api/api-keys', {
+    token,
+    body: { name: 'Job board sync', scopes: ['job:write'] }
+  });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.data.scopes, ['job:write']);
+  assert.equal(created.body.data.keyHash, undefined);
+
+  const key = withKey(created.body.key);
+  assert.equal((await app.request('GET', '/guarded/job:manage', key)).status, 200);
+  assert.equal((await app.request('GET', '/guarded/blog:publish', key)).status, 403);
+  assert.equal((await app.request('GET', '/guarded/apikey:manage', key)).status, 403);
+  assert.equal((await app.request('GET', '/guarded/user:manage', key)).status, 403);
+});
+
+test('keys cannot be scoped to account or key management', async (t) => {
+  const admin = makeUser({ role: 'admin' });
+  const { session, token } = signIn(admin);
+  stubAccounts(t, { users: [admin], sessions: [session] });
+  const keys = stubKeys(t);
+
+  for (const scope of ['apikey:manage', 'user:manage', 'job:manage']) {
+    const res = await app.request('POST', '/api/api-keys', { token, body: { name: 'Too much', scopes: [scope] } });
+    assert.equal(res.status, 400, scope);
+  }
+  assert.equal(keys.length, 0);
+});
+
+test('only holders of apikey:manage create keys', async (t) => {
+  const editor = makeUser({ role: 'editor' });
+  const { session, token } = signIn(editor);
+  stubAccounts(t, { users: [editor], sessions: [session] });
+  const keys = stubKeys(t);
+
+  const res = await app.request('POST', '/api/api-keys', { token, body: { name: 'Mine', scopes: ['blog:publish'] } });
+
+  assert.equal(res.status, 403);
+  assert.equal(keys.length, 0);
+});
+
+test('revoked, expired and malformed keys are rejected', async (t) => {
+  const admin = makeUser({ role: 'admin' });
+  stubAccounts(t, { users: [admin] });
+  stubKeys(t);
+  const scopes = ['job:write'];
+
+  const revoked = await ApiKey.generate({ name: 'Revoked', scopes, createdBy: admin._id });
+  revoked.apiKey.revokedAt = new Date();
+  const expired = await ApiKey.generate({ name: 'Expired', scopes, createdBy: admin._id, expiresAt: new Date(Date.now() - 1000) });
+  const valid = await ApiKey.generate({ name: 'Valid', scopes, createdBy: admin._id });
+  const tampered = valid.rawKey.slice(0, -1) + (valid.rawKey.endsWith('0') ? '1' : '0');
+
+  for (const rawKey of [revoked.rawKey, expired.rawKey, tampered, 'w3v_nonsense']) {
+    const res = await app.request('GET', '/guarded/job:manage', withKey(rawKey));
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'API_KEY_INVALID');
+  }
+});
+
+test('keys stop working when their creator is suspended or deleted', async (t) => {
+  const suspended = makeUser({ role: 'admin', isActive: false });
+  const deleted = makeUser({ role: 'admin' });
+  stubAccounts(t, { users: [suspended] });
+  stubKeys(t);
+
+  const { rawKey: suspendedKey } = await ApiKey.generate({ name: 'A', scopes: ['job:write'], createdBy: suspended._id });
+  const { rawKey: orphanedKey } = await ApiKey.generate({ name: 'B', scopes: ['job:write'], createdBy: deleted._id });
+
+  const fromSuspended = await app.request('GET', '/guarded/job:manage', withKey(suspendedKey));
+  assert.equal(fromSuspended.status, 403);
+  assert.equal(fromSuspended.body.code, 'API_KEY_OWNER_SUSPENDED');
+
+  const fromDeleted = await app.request('GET', '/guarded/job:manage', withKey(orphanedKey));
+  assert.equal(fromDeleted.status, 401);
+  assert.equal(fromDeleted.body.code, 'API_KEY_OWNER_NOT_FOUND');
+});
+
+test("a key never grants more than its creator's current role", async (t) => {
+  const creator = makeUser({ role: 'admin' });
+  stubAccounts(t, { users: [creator] });
+  stubKeys(t);
+  const { rawKey } = await ApiKey.generate({
+    name: 'Publisher',
+    scopes: ['job:write', 'blog:publish'],
+    createdBy: creator._id
+  });
+
+  creator.role = 'recruiter';
+
+  assert.equal((await app.request('GET', '/guarded/job:manage', withKey(rawKey))).status, 200);
+  assert.equal((await app.request('GET', '/guarded/blog:publish', withKey(rawKey))).status, 403);
+});
+
+test('keys are refused on personal routes', async (t) => {
+  const admin = makeUser({ role: 'admin' });
+  stubAccounts(t, { users: [admin] });
+  stubKeys(t);
+  const { rawKey } = await ApiKey.generate({ name: 'Any', scopes: ['job:write'], createdBy: admin._id });
+
+  const res = await app.request('GET', '/guarded/personal', withKey(rawKey));
+
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'API_KEY_NOT_ALLOWED');
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, makeUser } = require('./helpers');
+const Comment = require('../models/Comment');
+const { scoreComment } = require('../utils/commentSpam');
+
+// No earlier comments unless a test says otherwise
+const stubHistory = (t, { recent = 0, copies = [] } = {}) => ({
+  countDocuments: t.mock.method(Comment, 'countDocuments', async () => recent),
+  find: t.mock.method(Comment, 'find', () => query(copies))
+});
+
+const checkNames = (result) => result.reasons.map((reason) => reason.check);
+
+test('an ordinary comment scores nothing', async (t) => {
+  stubHistory(t);
+
+  const result = await scoreComment({ text: 'Thanks, this helped me fix my build.', body: {}, user: makeUser() });
+
+  assert.equal(result.score, 0);
+  assert.equal(result.isSpam, false);
+});
+
+test('signals add up and reach the threshold together', async (t) => {
+  stubHistory(t);
+
+  // Two links (3) and one keyword (2) stay below the default threshold of 6
+  const below = await scoreComment({ text: 'Buy now https://a.test https://b.test', body: {} });
+  assert.equal(below.score, 5);
+  assert.equal(below.isSpam, false);
+  assert.deepEqual(checkNames(below), ['links', 'keywords']);
+
+  // A third link adds 2 more
+  const above = await scoreComment({ text: 'Buy now https://a.test https://b.test https://c.test', body: {} });
+  assert.equal(above.score, 7);
+  assert.equal(above.isSpam, true);
+
+  process.env.COMMENT_SPAM_THRESHOLD = '8';
+  t.after(() => { delete process.env.COMMENT_SPAM_THRESHOLD; });
+  assert.equal((await scoreComment({ text: 'Buy now https://a.test https://b.test https://c.test', body: {} })).isSpam, false);
+});
+
+test('a filled-in honeypot field is spam on its own', async (t) => {
+  stubHistory(t);
+
+  const result = await scoreComment({ text: 'Nice post', body: { website: 'https://spam.test' } });
+
+  assert.equal(result.isSpam, true);
+  assert.deepEqual(checkNames(result), ['honeypot']);
+});
+
+test('commenting past the velocity limit is flagged, more so the further past', async (t) => {
+  const user = makeUser();
+  const history = stubHistory(t);
+  const velocity = async (recent) => {
+    history.countDocuments.mock.mockImplementation(async () => recent);
+    const result = await scoreComment({ text: 'Another comment', body: {}, user });
+    return result.reasons.find((reason) => reason.check === 'velocity');
+  };
+
+  // The default limit is 5 comments in 10 minutes, not counting this one
+  assert.equal(await velocity(4), undefined);
+  assert.equal((await velocity(5)).score, 4);
+  assert.equal((await velocity(7)).score, 6);
+
+  const [filter] = history.countDocuments.mock.calls[0].arguments;
+  assert.equal(filter.user, user._id);
+  assert.ok(Math.abs(Date.now() - 10 * 60 * 1000 - filter.createdAt.$gte.getTime()) < 5000);
+});
+
+test('an edited comment is not counted against itself', async (t) => {
+  const user = makeUser();
+  const history = stubHistory(t);
+  const excludeId = new mongoose.Types.ObjectId();
+
+  await scoreComment({ text: 'Edited text', body: {}, user, excludeId });
+
+  assert.deepEqual(history.countDocuments.mock.calls[0].arguments[0]._id, { $ne: excludeId });
+  assert.deepEqual(history.find.mock.calls[0].arguments[0]._id, { $ne: excludeId });
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, makeUser, makeBlog, startApp } = require('./helpers');
+const Blog = require('../models/Blog');
+const blogRoutes = require('../routes/blog');
+
+let app;
+before(async () => {
+  app = await startApp({ '/api/blog': blogRoutes });
+});
+after(() => app.close());
+
+// Blog.find serving the given posts to the feed
+const stubFeed = (t, blogs) => t.mock.method(Blog, 'find', () => query(blogs));
+
+// fetch marks conditional requests no-cache unless told otherwise, which would
+// make the server skip the check
+const conditional = (headers) => ({ headers: { 'Cache-Control': 'max-age=0', ...headers } });
+
+const publishedPost = () => makeBlog(makeUser(), {
+  status: 'published',
+  slug: 'feed-post',
+  publishedAt: new Date('2026-03-01T10:00:00Z'),
+  updatedAt: new Date('2026-03-02T10:00:00Z')
+});
+
+test('feeds answer conditional requests with 304 until a post changes', async (t) => {
+  const blog = publishedPost();
+  stubFeed(t, [blog]);
+
+  const first = await app.request('GET', '/api/blog/feed.rss');
+  assert.equal(first.status, 200);
+  const etag = first.headers.get('etag');
+  assert.ok(etag);
+  assert.equal(first.headers.get('last-modified'), blog.updatedAt.toUTCString());
+
+  const byTag = await app.request('GET', '/api/blog/feed.rss', conditional({ 'If-None-Match': etag }));
+  assert.equal(byTag.status, 304);
+  assert.equal(byTag.body, '');
+
+  const byDate = await app.request('GET', '/api/blog/feed.rss', conditional({
+    'If-Modified-Since': blog.updatedAt.toUTCString()
+  }));
+  assert.equal(byDate.status, 304);
+
+  blog.updatedAt = new Date('2026-03-03T10:00:00Z');
+  const changed = await app.request('GET', '/api/blog/feed.rss', conditional({ 'If-None-Match': etag }));
+  assert.equal(changed.status, 200);
+  assert.notEqual(changed.headers.get('etag'), etag);
+});
+
+test('each format and mode has its own ETag', async (t) => {
+  stubFeed(t, [publishedPost()]);
+
+  const etags = [];
+  for (const path of ['/feed.rss', '/feed.atom', '/feed.json', '/feed.rss?mode=full', '/feed.rss?category=Testing']) {
+    const res = await app.request('GET', `/api/blog${path}`);
+    assert.equal(res.status, 200);
+    etags.push(res.headers.get('etag'));
+  }
+
+  assert.equal(new Set(etags).size, etags.length);
+});
@@ -0,0 +1,171 @@
+// Shared setup for the behaviour tests. They run without a database: routers
+// are mounted on a bare Express app and the model calls each test relies on
+// are replaced with t.mock, using real (unsaved) Mongoose documents.
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.MAIL_DRIVER = 'console';
+
+// A query reaching MongoDB means a missing mock, so fail instead of waiting
+mongoose.set('bufferCommands', false);
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const BlogReview = require('../models/BlogReview');
+const Tag = require('../models/Tag');
+const AuditLog = require('../models/AuditLog');
+const { setTransport } = require('../utils/mail');
+
+// Collect outgoing mail instead of printing it
+const outbox = [];
+setTransport({
+  send: async (message) => {
+    outbox.push(message);
+    return { messageId: String(outbox.length) };
+  }
+});
+
+// Chainable stand-in for a Mongoose query that resolves to `result`
+const query = (result) => {
+  const stub = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+    exec: () => Promise.resolve(result)
+  };
+  ['select', 'populate', 'sort', 'limit', 'skip', 'lean', 'collation', 'cursor', 'editedBy'].forEach((method) => {
+    stub[method] = () => stub;
+  });
+  return stub;
+};
+
+// Make doc.save() resolve without a database, counting the calls
+const stubSave = (doc) => {
+  doc.saveCount = 0;
+  doc.save = async function() {
+    this.saveCount += 1;
+    return this;
+  };
+  return doc;
+};
+
+// An unsaved user document whose save() is stubbed. Pass `password` to store
+// it hashed, as the (stubbed) save would.
+const makeUser = ({ password, ...fields } = {}) => stubSave(new User({
+  name: 'Test User',
+  email: `user${Math.random().toString(36).slice(2, 8)}@example.com`,
+  password: password ? bcrypt.hashSync(password, 4) : 'not-a-real-hash',
+  emailVerified: true,
+  ...fields
+}));
+
+// Serve User.findById and Session.findById from the given documents, as the
+// auth middleware and most routes look them up. Sessions started during the
+// test (e.g. by a login) are added to `sessions`.
+const stubAccounts = (t, { users = [], sessions = [] }) => {
+  const byId = (docs) => (id) => query(docs.find((doc) => doc._id.toString() === String(id)) || null);
+  t.mock.method(User, 'findById', byId(users));
+  t.mock.method(Session, 'findById', byId(sessions));
+  t.mock.method(Session.prototype, 'save', async function() {
+    if (!sessions.includes(this)) sessions.push(this);
+    return this;
+  });
+};
+
+// A live session for the user and a Bearer access token for it
+const signIn = (user) => {
+  const session = stubSave(new Session({
+    user: user._id,
+    refreshTokenHash: 'unused',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  }));
+  return { session, token: user.getSignedJwtToken(session._id) };
+};
+
+// An unsaved blog document by `author` whose save() and populate() are stubbed
+const makeBlog = (author, fields = {}) => {
+  const blog = stubSave(new Blog({
+    title: 'A post about testing',
+    content: 'Enough words to pass the content length check on every blog write.',
+    category: 'Testing',
+    author: author._id,
+    ...fields
+  }));
+  blog.populate = async function() {
+    return this;
+  };
+  return blog;
+};
+
+// Serve Blog.findById from the given documents and stub the bookkeeping a blog
+// write triggers (revisions, reviews, tags, audit log, related posts). Returns
+// the mocks so tests can inspect the calls.
+const stubBlogs = (t, blogs = []) => {
+  t.mock.method(Blog, 'findById', (id) =>
+    query(blogs.find((doc) => doc._id.toString() === String(id)) || null));
+  t.mock.method(Blog, 'publishedStats', async () => ({ count: 0, lastmod: null }));
+  t.mock.method(Blog, 'find', () => query([]));
+  t.mock.method(User, 'find', () => query([]));
+  t.mock.method(Tag, 'registerNames', async () => {});
+  t.mock.method(AuditLog, 'create', async () => ({}));
+  return {
+    revisions: t.mock.method(BlogRevision, 'record', async () => ({})),
+    reviews: t.mock.method(BlogReview, 'create', async (fields) => new BlogReview(fields))
+  };
+};
+
+// Start an app with the given routers mounted, e.g. { '/api/auth': authRoutes }
+const startApp = async (mounts) => {
+  const app = express();
+  app.use(express.json());
+  Object.entries(mounts).forEach(([path, router]) => app.use(path, router));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // Returns { status, headers, body } with the body parsed as JSON when possible
+  const request = async (method, path, { body, token, headers = {} } = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      // Not JSON, keep the text
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  const close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return { url: base, request, close };
+};
+
+module.exports = {
+  outbox,
+  query,
+  stubSave,
+  makeUser,
+  stubAccounts,
+  signIn,
+  makeBlog,
+  stubBlogs,
+  startApp
+};
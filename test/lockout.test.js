@@ -0,0 +1,153 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, makeUser, stubAccounts, signIn, startApp } = require('./helpers');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const authRoutes = require('../routes/auth');
+const userRoutes = require('../routes/user');
+
+let app;
+before(async () => {
+  app = await startApp({ '/api/auth': authRoutes, '/api/user': userRoutes });
+});
+after(() => app.close());
+
+// Apply the failed-login bookkeeping to the user document itself, as MongoDB
+// would, so the next lookup sees the new counters
+const stubLoginTracking = (t, user) => {
+  t.mock.method(User, 'findOne', () => query(user));
+  t.mock.method(User, 'findByIdAndUpdate', (id, update) => {
+    user.failedLoginAttempts += update.$inc.failedLoginAttempts;
+    Object.assign(user, update.$set);
+    return query(user);
+  });
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    if (update.$set || update.$unset) {
+      Object.assign(user, update.$set);
+      Object.keys(update.$unset || {}).forEach((field) => { user[field] = undefined; });
+    } else {
+      Object.assign(user, update);
+    }
+    return { acknowledged: true };
+  });
+};
+
+const login = (user, password) => app.request('POST', '/api/auth/login', {
+  body: { email: user.email, password }
+});
+
+// Let any current delay run out without waiting for it
+const waitOut = (user) => { user.lockUntil = new Date(Date.now() - 1000); };
+
+test('failed logins back off from the third attempt and lock at the fifth', async (t) => {
+  const user = makeUser({ password: 'correct-horse' });
+  stubLoginTracking(t, user);
+  const before = Date.now();
+
+  assert.equal((await User.registerFailedLogin(user._id)).failedLoginAttempts, 1);
+  assert.equal(user.getLoginBlock(), null);
+  await User.registerFailedLogin(user._id);
+  assert.equal(user.getLoginBlock(), null);
+
+  await User.registerFailedLogin(user._id);
+  assert.deepEqual(user.getLoginBlock(), { locked: false, retryAfter: 2 });
+  await User.registerFailedLogin(user._id);
+  assert.deepEqual(user.getLoginBlock(), { locked: false, retryAfter: 4 });
+
+  await User.registerFailedLogin(user._id);
+  assert.deepEqual(user.getLoginBlock(), { locked: true, retryAfter: 15 * 60 });
+  assert.ok(user.lastFailedLoginAt.getTime() >= before);
+});
+
+test('logins are delayed with 429 and locked with 423, both with Retry-After', async (t) => {
+  const user = makeUser({ password: 'correct-horse' });
+  stubLoginTracking(t, user);
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    assert.equal((await login(user, 'wrong')).status, 401);
+  }
+
+  // Even the right password waits out the delay
+  const delayed = await login(user, 'correct-horse');
+  assert.equal(delayed.status, 429);
+  assert.equal(delayed.body.code, 'LOGIN_DELAYED');
+  assert.equal(delayed.headers.get('retry-after'), '2');
+  assert.equal(user.failedLoginAttempts, 3);
+
+  waitOut(user);
+  assert.equal((await login(user, 'wrong')).status, 401);
+  waitOut(user);
+
+  const locked = await login(user, 'wrong');
+  assert.equal(locked.status, 423);
+  assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+  assert.equal(locked.headers.get('retry-after'), String(15 * 60));
+
+  const stillLocked = await login(user, 'correct-horse');
+  assert.equal(stillLocked.status, 423);
+});
+
+test('a successful login clears the failed attempts', async (t) => {
+  const user = makeUser({ password: 'correct-horse' });
+  stubLoginTracking(t, user);
+  stubAccounts(t, { users: [user] });
+
+  await login(user, 'wrong');
+  await login(user, 'wrong');
+  assert.equal(user.failedLoginAttempts, 2);
+
+  const res = await login(user, 'correct-horse');
+  assert.equal(res.status, 200);
+  assert.equal(user.failedLoginAttempts, 0);
+  assert.equal(user.lockUntil, undefined);
+});
+
+test('MAX_LOGIN_ATTEMPTS and ACCOUNT_LOCK_MINUTES tune the lockout', async (t) => {
+  process.env.MAX_LOGIN_ATTEMPTS = '3';
+  process.env.ACCOUNT_LOCK_MINUTES = '1';
+  t.after(() => {
+    delete process.env.MAX_LOGIN_ATTEMPTS;
+    delete process.env.ACCOUNT_LOCK_MINUTES;
+  });
+  const user = makeUser({ password: 'correct-horse' });
+  stubLoginTracking(t, user);
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    await User.registerFailedLogin(user._id);
+  }
+
+  assert.deepEqual(user.getLoginBlock(), { locked: true, retryAfter: 60 });
+});
+
+test('an admin can unlock a locked account', async (t) => {
+  const admin = makeUser({ role: 'admin' });
+  const user = makeUser({ password: 'correct-horse' });
+  const { session, token } = signIn(admin);
+  stubLoginTracking(t, user);
+  stubAccounts(t, { users: [admin, user], sessions: [session] });
+  t.mock.method(AuditLog, 'create', async () => ({}));
+
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    await User.registerFailedLogin(user._id);
+  }
+  assert.equal((await login(user, 'correct-horse')).status, 423);
+
+  const unlock = await app.request('PUT', `/api/user/${user._id}/unlock`, { token });
+  assert.equal(unlock.status, 200);
+  assert.equal(user.failedLoginAttempts, 0);
+
+  assert.equal((await login(user, 'correct-horse')).status, 200);
+});
+
+test('only user managers can unlock accounts', async (t) => {
+  const author = makeUser({ role: 'author' });
+  const user = makeUser();
+  const { session, token } = signIn(author);
+  stubAccounts(t, { users: [author, user], sessions: [session] });
+  const resetLoginAttempts = t.mock.method(User, 'resetLoginAttempts', async () => ({}));
+
+  const res = await app.request('PUT', `/api/user/${user._id}/unlock`, { token });
+
+  assert.equal(res.status, 403);
+  assert.equal(resetLoginAttempts.mock.callCount(), 0);
+});
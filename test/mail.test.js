@@ -0,0 +1,168 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { outbox, query, makeUser, stubAccounts, signIn, startApp } = require('./helpers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { checkMailConfig } = require('../utils/mail');
+const emailTemplates = require('../utils/mail/templates');
+const createFileTransport = require('../utils/mail/fileTransport');
+const createConsoleTransport = require('../utils/mail/consoleTransport');
+const authRoutes = require('../routes/auth');
+
+let app;
+before(async () => {
+  app = await startApp({ '/api/auth': authRoutes });
+});
+after(() => app.close());
+
+// The token at the end of the first link in a message
+const linkToken = (message) => /\/([a-f0-9]{64})\b/.exec(message.text)[1];
+
+// User.findOne for the given users, matching plain fields and $gt dates
+const stubFindOne = (t, users) => t.mock.method(User, 'findOne', (filter) => query(users.find((user) =>
+  Object.entries(filter).every(([field, condition]) => (condition && condition.$gt
+    ? user[field] > condition.$gt
+    : user[field] === condition))) || null));
+
+test('the file transport writes each message as JSON into MAIL_FILE_DIR', async (t) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mail-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  process.env.MAIL_FILE_DIR = dir;
+  t.after(() => { delete process.env.MAIL_FILE_DIR; });
+
+  const { messageId } = await createFileTransport().send({ to: 'ada@example.com', subject: 'Hello', text: 'Hi' });
+
+  const written = JSON.parse(await fs.promises.readFile(path.join(dir, messageId), 'utf8'));
+  assert.equal(written.to, 'ada@example.com');
+  assert.equal(written.subject, 'Hello');
+  assert.ok(written.sentAt);
+});
+
+test('the file transport defaults to a directory outside the repository', async (t) => {
+  const repoRoot = path.resolve(__dirname, '..');
+  const calls = [];
+  t.mock.method(fs.promises, 'mkdir', async (dir) => { calls.push(dir); });
+  t.mock.method(fs.promises, 'writeFile', async () => {});
+
+  await createFileTransport().send({ to: 'ada@example.com', subject: 'Hello', text: 'Hi' });
+
+  assert.ok(calls[0].startsWith(os.tmpdir()));
+  assert.ok(!calls[0].startsWith(repoRoot));
+});
+
+// Set environment variables (undefined unsets) until the end of the test
+const withEnv = (t, vars) => {
+  const saved = Object.fromEntries(Object.keys(vars).map((name) => [name, process.env[name]]));
+  const apply = (values) => Object.entries(values).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+  apply(vars);
+  t.after(() => apply(saved));
+};
+
+test('production defaults to SMTP and refuses drivers that never deliver', (t) => {
+  withEnv(t, { NODE_ENV: 'production', MAIL_DRIVER: undefined });
+  assert.doesNotThrow(checkMailConfig);
+
+  for (const driver of ['console', 'file']) {
+    process.env.MAIL_DRIVER = driver;
+    assert.throws(checkMailConfig, /cannot be used in production/);
+  }
+
+  process.env.MAIL_DRIVER = 'pigeon';
+  assert.throws(checkMailConfig, /Unknown MAIL_DRIVER/);
+});
+
+test('the console driver stays available outside production', (t) => {
+  withEnv(t, { NODE_ENV: 'development', MAIL_DRIVER: 'console' });
+  assert.doesNotThrow(checkMailConfig);
+});
+
+test('the console transport never prints a usable token link', async (t) => {
+  const logged = [];
+  t.mock.method(console, 'log', (...args) => logged.push(args.join(' ')));
+  const user = makeUser();
+  const token = 'a'.repeat(64);
+  const blog = { _id: '6650f0c2a1b2c3d4e5f60718', title: 'Post' };
+
+  await createConsoleTransport().send(emailTemplates.passwordReset(user, token));
+  await createConsoleTransport().send(emailTemplates.reviewRequested(user, blog));
+
+  const output = logged.join('\n');
+  assert.ok(!output.includes(token));
+  assert.match(output, /\/reset-password\/\[redacted\]/);
+  // Links without secrets are left alone
+  assert.ok(output.includes(`/admin/blog/${blog._id}/review`));
+  assert.equal(
+    createConsoleTransport.redactLinks('https://x.test/preview?token=abc#frag'),
+    'https://x.test/preview?[redacted]'
+  );
+});
+
+test('forgot-password mails a single-use reset link through the transport', async (t) => {
+  const user = makeUser({ email: 'reset@example.com' });
+  stubFindOne(t, [user]);
+  const revokeAll = t.mock.method(Session, 'revokeAllForUser', async () => ({}));
+  const sent = outbox.length;
+
+  const res = await app.request('POST', '/api/auth/forgot-password', { body: { email: 'reset@example.com' } });
+  assert.equal(res.status, 200);
+  assert.equal(outbox.length, sent + 1);
+
+  const message = outbox[outbox.length - 1];
+  assert.equal(message.to, 'reset@example.com');
+  const token = linkToken(message);
+  // Only the hash is stored
+  assert.notEqual(user.resetPasswordToken, token);
+  assert.equal(user.resetPasswordToken, User.hashToken(token));
+
+  const reset = await app.request('POST', `/api/auth/reset-password/${token}`, { body: { password: 'new-password-1' } });
+  assert.equal(reset.status, 200);
+  assert.equal(user.password, 'new-password-1');
+  assert.equal(user.resetPasswordToken, undefined);
+  assert.equal(revokeAll.mock.callCount(), 1);
+
+  const again = await app.request('POST', `/api/auth/reset-password/${token}`, { body: { password: 'new-password-2' } });
+  assert.equal(again.status, 400);
+});
+
+test('expired reset links are refused', async (t) => {
+  const user = makeUser({ email: 'late@example.com' });
+  const token = user.getResetPasswordToken();
+  user.resetPasswordExpire = new Date(Date.now() - 1000);
+  stubFindOne(t, [user]);
+
+  const res = await app.request('POST', `/api/auth/reset-password/${token}`, { body: { password: 'new-password-1' } });
+  assert.equal(res.status, 400);
+});
+
+test('forgot-password answers the same for unknown addresses and sends nothing', async (t) => {
+  stubFindOne(t, []);
+  const sent = outbox.length;
+
+  const res = await app.request('POST', '/api/auth/forgot-password', { body: { email: 'nobody@example.com' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(outbox.length, sent);
+});
+
+test('a resent verification link verifies the email address', async (t) => {
+  const user = makeUser({ emailVerified: false });
+  const { session, token } = signIn(user);
+  stubAccounts(t, { users: [user], sessions: [session] });
+  stubFindOne(t, [user]);
+
+  const resend = await app.request('POST', '/api/auth/verify/resend', { token });
+  assert.equal(resend.status, 200);
+
+  const verificationToken = linkToken(outbox[outbox.length - 1]);
+  const verify = await app.request('GET', `/api/auth/verify/${verificationToken}`);
+
+  assert.equal(verify.status, 200);
+  assert.equal(user.emailVerified, true);
+  assert.equal(user.emailVerificationToken, undefined);
+});
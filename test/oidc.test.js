@@ -0,0 +1,222 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { query, stubSave, makeUser, stubAccounts, startApp } = require('./helpers');
+const User = require('../models/User');
+const oidc = require('../utils/oidc');
+const authRoutes = require('../routes/auth');
+
+const CLIENT_ID = 'test-client';
+const KEY_ID = 'test-key';
+const FRONTEND_URL = 'http://frontend.test';
+
+const signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// A local OpenID provider: discovery document, JWKS and a token endpoint that
+// answers with whatever ID token the test queued
+const issuer = { tokenRequests: [], idToken: null };
+const mockIssuer = express();
+mockIssuer.use(express.urlencoded({ extended: false }));
+mockIssuer.get('/.well-known/openid-configuration', (req, res) => res.json({
+  issuer: issuer.url,
+  authorization_endpoint: `${issuer.url}/authorize`,
+  token_endpoint: `${issuer.url}/token`,
+  jwks_uri: `${issuer.url}/jwks`
+}));
+mockIssuer.get('/jwks', (req, res) => res.json({
+  keys: [{ ...signingKey.publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }]
+}));
+mockIssuer.post('/token', (req, res) => {
+  issuer.tokenRequests.push(req.body);
+  res.json({ access_token: 'unused', id_token: issuer.idToken });
+});
+
+let app;
+let provider;
+before(async () => {
+  provider = await startApp({ '/': mockIssuer });
+  issuer.url = provider.url;
+  app = await startApp({ '/api/auth': authRoutes });
+  Object.assign(process.env, {
+    GOOGLE_OIDC_ISSUER: issuer.url,
+    GOOGLE_CLIENT_ID: CLIENT_ID,
+    GOOGLE_CLIENT_SECRET: 'test-secret',
+    GOOGLE_REDIRECT_URI: 'http://backend.test/api/auth/google/callback',
+    GOOGLE_ALLOWED_DOMAINS: 'we3vision.com',
+    FRONTEND_URL
+  });
+});
+after(async () => {
+  await app.close();
+  await provider.close();
+});
+
+// An RS256 ID token as the provider would issue it
+const idToken = (claims = {}, { key = signingKey.privateKey, keyid = KEY_ID, ...options } = {}) => jwt.sign({
+  sub: '1234567890',
+  email: 'ada@we3vision.com',
+  email_verified: true,
+  name: 'Ada',
+  ...claims
+}, key, {
+  algorithm: 'RS256',
+  keyid,
+  issuer: issuer.url,
+  audience: CLIENT_ID,
+  expiresIn: '5m',
+  ...options
+});
+
+const verify = (token, nonce) => oidc.verifyIdToken(token, { issuer: issuer.url, audience: CLIENT_ID, nonce });
+
+// Serve User.findOne by exact field matches, and User.create with stubbed saves
+const stubUserLookups = (t, users) => {
+  t.mock.method(User, 'findOne', (filter) => query(users.find((user) =>
+    Object.entries(filter).every(([field, value]) => user[field] === value)) || null));
+  return t.mock.method(User, 'create', async (fields) => {
+    const user = stubSave(new User(fields));
+    users.push(user);
+    return user;
+  });
+};
+
+// Go through /google to the provider and back to /google/callback. The provider
+// signs `claims` into the ID token; `tamper` can change the callback query.
+const signInWithGoogle = async (claims, { nonce, tamper = (params) => params } = {}) => {
+  const start = await app.request('GET', '/api/auth/google');
+  assert.equal(start.status, 302);
+  const authorizeUrl = new URL(start.headers.get('location'));
+  const cookie = start.headers.get('set-cookie').split(';')[0];
+
+  issuer.idToken = idToken({ nonce: nonce || authorizeUrl.searchParams.get('nonce'), ...claims });
+  const params = tamper(new URLSearchParams({ state: authorizeUrl.searchParams.get('state'), code: 'auth-code' }));
+  const callback = await app.request('GET', `/api/auth/google/callback?${params}`, { headers: { Cookie: cookie } });
+
+  assert.equal(callback.status, 302);
+  const location = callback.headers.get('location');
+  assert.ok(location.startsWith(`${FRONTEND_URL}/auth/callback#`));
+  return { authorizeUrl, result: new URLSearchParams(location.split('#')[1]) };
+};
+
+test('ID tokens signed by the provider verify', async () => {
+  const claims = await verify(idToken({ nonce: 'n-1' }), 'n-1');
+
+  assert.equal(claims.sub, '1234567890');
+  assert.equal(claims.email, 'ada@we3vision.com');
+});
+
+test('ID tokens with a bad signature or unknown key are rejected', async () => {
+  await assert.rejects(verify(idToken({}, { key: otherKey.privateKey })), /invalid signature/);
+  await assert.rejects(verify(idToken({}, { keyid: 'rotated-away' })), /No signing key/);
+});
+
+test('ID tokens for another audience or from another issuer are rejected', async () => {
+  await assert.rejects(verify(idToken({}, { audience: 'someone-else' })), /audience invalid/);
+  await assert.rejects(verify(idToken({}, { issuer: 'https://evil.example' })), /issuer invalid/);
+});
+
+test('expired, HMAC-signed and mismatched-nonce ID tokens are rejected', async () => {
+  await assert.rejects(verify(idToken({}, { expiresIn: -10 })), /jwt expired/);
+  await assert.rejects(verify(jwt.sign({ sub: '1' }, 'shared-secret', { keyid: KEY_ID })), /Unsupported/);
+  await assert.rejects(verify(idToken({ nonce: 'n-1' }), 'n-2'), /nonce mismatch/);
+});
+
+test('Google sign-in uses PKCE and signs in a linked account', async (t) => {
+  const user = makeUser({ email: 'ada@we3vision.com', googleId: '1234567890' });
+  stubUserLookups(t, [user]);
+  stubAccounts(t, { users: [user] });
+  issuer.tokenRequests.length = 0;
+
+  const { authorizeUrl, result } = await signInWithGoogle({});
+
+  assert.equal(authorizeUrl.searchParams.get('code_challenge_method'), 'S256');
+  const verifier = issuer.tokenRequests[0].code_verifier;
+  assert.equal(
+    crypto.createHash('sha256').update(verifier).digest('base64url'),
+    authorizeUrl.searchParams.get('code_challenge')
+  );
+
+  assert.ok(result.get('token'));
+  assert.ok(result.get('refreshToken'));
+  const me = await app.request('GET', '/api/auth/me', { token: result.get('token') });
+  assert.equal(me.status, 200);
+});
+
+test('an existing account in an allowed domain is linked on first sign-in', async (t) => {
+  const user = makeUser({ email: 'grace@we3vision.com' });
+  stubUserLookups(t, [user]);
+  stubAccounts(t, { users: [user] });
+
+  const { result } = await signInWithGoogle({ sub: 'google-grace', email: 'grace@we3vision.com' });
+
+  assert.ok(result.get('token'));
+  assert.equal(user.googleId, 'google-grace');
+});
+
+test('accounts outside GOOGLE_ALLOWED_DOMAINS are neither linked nor provisioned', async (t) => {
+  const user = makeUser({ email: 'ada@gmail.com' });
+  const create = stubUserLookups(t, [user]);
+
+  const { result } = await signInWithGoogle({ sub: 'google-ada', email: 'ada@gmail.com' });
+
+  assert.equal(result.get('error'), 'GOOGLE_DOMAIN_NOT_ALLOWED');
+  assert.equal(result.get('token'), null);
+  assert.equal(user.googleId, undefined);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('an earlier link stops working once the domain is no longer allowed', async (t) => {
+  const user = makeUser({ email: 'ada@gmail.com', googleId: 'google-ada' });
+  stubUserLookups(t, [user]);
+
+  const { result } = await signInWithGoogle({ sub: 'google-ada', email: 'ada@gmail.com' });
+
+  assert.equal(result.get('error'), 'GOOGLE_DOMAIN_NOT_ALLOWED');
+});
+
+test('unverified Google addresses are not linked', async (t) => {
+  const user = makeUser({ email: 'grace@we3vision.com' });
+  stubUserLookups(t, [user]);
+
+  const { result } = await signInWithGoogle({ sub: 'google-grace', email: 'grace@we3vision.com', email_verified: false });
+
+  assert.equal(result.get('error'), 'GOOGLE_EMAIL_UNVERIFIED');
+  assert.equal(user.googleId, undefined);
+});
+
+test('new users in an allowed domain are provisioned with the default role', async (t) => {
+  const users = [];
+  const create = stubUserLookups(t, users);
+  stubAccounts(t, { users });
+
+  const { result } = await signInWithGoogle({ sub: 'google-new', email: 'new@we3vision.com' });
+
+  assert.ok(result.get('token'));
+  assert.equal(create.mock.callCount(), 1);
+  assert.equal(users[0].googleId, 'google-new');
+  assert.equal(users[0].role, 'user');
+});
+
+test('a callback with the wrong state never reaches the token endpoint', async (t) => {
+  stubUserLookups(t, []);
+  issuer.tokenRequests.length = 0;
+
+  const { result } = await signInWithGoogle({}, {
+    tamper: (params) => { params.set('state', 'forged'); return params; }
+  });
+
+  assert.equal(result.get('error'), 'GOOGLE_STATE_INVALID');
+  assert.equal(issuer.tokenRequests.length, 0);
+});
+
+test('an ID token minted for another login attempt is refused', async (t) => {
+  const user = makeUser({ email: 'ada@we3vision.com', googleId: '1234567890' });
+  stubUserLookups(t, [user]);
+
+  const { result } = await signInWithGoogle({}, { nonce: 'from-another-attempt' });
+
+  assert.equal(result.get('error'), 'GOOGLE_SIGN_IN_FAILED');
+});
@@ -0,0 +1,158 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { makeUser, stubAccounts, signIn, makeBlog, stubBlogs, startApp } = require('./helpers');
+const { ROLES, ROLE_NAMES, PERMISSIONS, permissionsFor, roleHasPermission } = require('../config/roles');
+const { protect, requirePermission } = require('../middleware/auth');
+const blogRoutes = require('../routes/blog');
+
+// A route per permission check under test
+const guarded = express.Router();
+guarded.get('/jobs', protect, requirePermission('job:manage'), (req, res) => res.json({ status: 'success' }));
+guarded.get('/posts', protect, requirePermission('blog:edit-own', 'blog:edit-any'), (req, res) => res.json({ status: 'success' }));
+
+let app;
+before(async () => {
+  app = await startApp({ '/guarded': guarded, '/api/blog': blogRoutes });
+});
+after(() => app.close());
+
+// Sign in a new user with the given role, returning the user and a token
+const signInAs = (t, role, others = []) => {
+  const user = makeUser({ role });
+  const { session, token } = signIn(user);
+  stubAccounts(t, { users: [user, ...others], sessions: [session] });
+  return { user, token };
+};
+
+test('roles only grant known permissions and admins hold them all', () => {
+  ROLE_NAMES.forEach((role) => {
+    ROLES[role].forEach((permission) => assert.ok(PERMISSIONS.includes(permission), `${role}: ${permission}`));
+  });
+  assert.deepEqual(permissionsFor('admin'), PERMISSIONS);
+  assert.deepEqual(permissionsFor('no-such-role'), []);
+  assert.equal(roleHasPermission('author', 'blog:publish'), false);
+  assert.equal(roleHasPermission('editor', 'blog:publish'), true);
+});
+
+test('requirePermission admits any role holding one of the permissions', async (t) => {
+  const { token: recruiter } = signInAs(t, 'recruiter');
+  assert.equal((await app.request('GET', '/guarded/jobs', { token: recruiter })).status, 200);
+});
+
+test('requirePermission rejects roles without the permission', async (t) => {
+  const { token } = signInAs(t, 'author');
+
+  const res = await app.request('GET', '/guarded/jobs', { token });
+
+  assert.equal(res.status, 403);
+  assert.match(res.body.message, /author is not authorized/);
+});
+
+test('protect rejects requests without a valid token', async (t) => {
+  stubAccounts(t, {});
+  assert.equal((await app.request('GET', '/guarded/posts')).status, 401);
+  assert.equal((await app.request('GET', '/guarded/posts', { token: 'nonsense' })).status, 401);
+});
+
+test('admins must enrol in 2FA first when REQUIRE_ADMIN_2FA is set', async (t) => {
+  process.env.REQUIRE_ADMIN_2FA = 'true';
+  t.after(() => { delete process.env.REQUIRE_ADMIN_2FA; });
+  const { token } = signInAs(t, 'admin');
+
+  const res = await app.request('GET', '/guarded/jobs', { token });
+
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'TWO_FACTOR_SETUP_REQUIRED');
+});
+
+test('authors can edit their own posts but not server-managed fields', async (t) => {
+  const { user, token } = signInAs(t, 'author');
+  const blog = makeBlog(user, { views: 3 });
+  stubBlogs(t, [blog]);
+
+  const res = await app.request('PUT', `/api/blog/${blog._id}`, {
+    token,
+    body: { excerpt: 'A fresh summary of the post', views: 1000000, likes: [user.id], slug: 'hijacked' }
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(blog.excerpt, 'A fresh summary of the post');
+  assert.equal(blog.views, 3);
+  assert.equal(blog.likes.length, 0);
+  assert.notEqual(blog.slug, 'hijacked');
+  assert.equal(blog.saveCount, 1);
+});
+
+test('authors cannot feature posts or hand them to someone else', async (t) => {
+  const other = makeUser();
+  const { user, token } = signInAs(t, 'author', [other]);
+  const blog = makeBlog(user);
+  stubBlogs(t, [blog]);
+
+  const featured = await app.request('PUT', `/api/blog/${blog._id}`, { token, body: { isFeatured: true } });
+  assert.equal(featured.status, 403);
+  assert.equal(blog.isFeatured, false);
+
+  const reassigned = await app.request('PUT', `/api/blog/${blog._id}`, { token, body: { author: other.id } });
+  assert.equal(reassigned.status, 403);
+  assert.equal(blog.author.toString(), user.id);
+});
+
+test('editors can feature and reassign posts', async (t) => {
+  const author = makeUser({ role: 'author' });
+  const { token } = signInAs(t, 'editor', [author]);
+  const blog = makeBlog(author);
+  stubBlogs(t, [blog]);
+  const other = makeUser();
+
+  const res = await app.request('PUT', `/api/blog/${blog._id}`, {
+    token,
+    body: { isFeatured: true, author: other.id }
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(blog.isFeatured, true);
+  assert.equal(blog.author.toString(), other.id);
+});
+
+test("authors cannot edit other people's posts", async (t) => {
+  const owner = makeUser({ role: 'author' });
+  const { token } = signInAs(t, 'author', [owner]);
+  const blog = makeBlog(owner);
+  stubBlogs(t, [blog]);
+
+  const res = await app.request('PUT', `/api/blog/${blog._id}`, {
+    token,
+    body: { excerpt: 'Rewritten by somebody else' }
+  });
+
+  assert.equal(res.status, 403);
+  assert.equal(blog.saveCount, 0);
+});
+
+test('authors cannot publish, only submit for review', async (t) => {
+  const { user, token } = signInAs(t, 'author');
+  const approved = makeBlog(user, { status: 'approved' });
+  const blog = makeBlog(user);
+  const { reviews } = stubBlogs(t, [approved, blog]);
+
+  const publish = await app.request('PUT', `/api/blog/${approved._id}`, { token, body: { status: 'published' } });
+  assert.equal(publish.status, 403);
+  assert.equal(approved.status, 'approved');
+
+  const submit = await app.request('PUT', `/api/blog/${blog._id}`, { token, body: { status: 'in_review' } });
+  assert.equal(submit.status, 200);
+  assert.equal(blog.status, 'in_review');
+  assert.equal(reviews.mock.calls[0].arguments[0].action, 'submit');
+});
+
+test('deleting posts needs blog:delete', async (t) => {
+  const { user, token } = signInAs(t, 'author');
+  const blog = makeBlog(user);
+  stubBlogs(t, [blog]);
+
+  const res = await app.request('DELETE', `/api/blog/${blog._id}`, { token });
+
+  assert.equal(res.status, 403);
+});
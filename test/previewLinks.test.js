@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { query, makeUser, stubAccounts, signIn, makeBlog, stubBlogs, startApp } = require('./helpers');
+const Blog = require('../models/Blog');
+const blogRoutes = require('../routes/blog');
+
+let app;
+before(async () => {
+  app = await startApp({ '/api/blog': blogRoutes });
+});
+after(() => app.close());
+
+// Blog.findOne answering only filters by _id from `blogs`, recording the filters
+const stubFindOne = (t, blogs) => {
+  const filters = [];
+  t.mock.method(Blog, 'findOne', (filter) => {
+    filters.push(filter);
+    return query(blogs.find((blog) => filter._id && blog._id.toString() === String(filter._id)) || null);
+  });
+  return filters;
+};
+
+test('a preview link opens the draft it was made for', async (t) => {
+  const author = makeUser({ role: 'author' });
+  const { session, token } = signIn(author);
+  stubAccounts(t, { users: [author], sessions: [session] });
+  const blog = makeBlog(author, { slug: 'work-in-progress' });
+  stubBlogs(t, [blog]);
+  stubFindOne(t, [blog]);
+  const updateOne = t.mock.method(Blog, 'updateOne', async () => ({}));
+
+  const link = await app.request('POST', `/api/blog/${blog._id}/preview-link`, { token, body: { expiresInHours: 2 } });
+  assert.equal(link.status, 201);
+  assert.ok(link.body.data.url.endsWith(`/blog/work-in-progress?preview=${encodeURIComponent(link.body.data.token)}`));
+
+  // Bound to the id, so the link still works after the slug changes
+  const res = await app.request('GET', `/api/blog/renamed-since?preview=${link.body.data.token}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data._id, blog.id);
+  assert.equal(res.headers.get('cache-control'), 'private, no-store');
+  assert.equal(res.headers.get('x-robots-tag'), 'noindex');
+  // Previews are not counted as views
+  assert.equal(updateOne.mock.callCount(), 0);
+});
+
+test('expired preview tokens and other tokens do not open drafts', async (t) => {
+  const author = makeUser();
+  const blog = makeBlog(author, { slug: 'work-in-progress' });
+  const filters = stubFindOne(t, [blog]);
+  const expired = jwt.sign(
+    { blog: blog._id, purpose: 'blog-preview', exp: Math.floor(Date.now() / 1000) - 60 },
+    process.env.JWT_SECRET
+  );
+  // A sign-in token is signed with the same secret but is not a preview token
+  const { token: accessToken } = signIn(author);
+
+  for (const preview of [expired, accessToken, 'not-a-token']) {
+    assert.equal(Blog.verifyPreviewToken(preview), null);
+    const res = await app.request('GET', `/api/blog/work-in-progress?preview=${preview}`);
+    assert.equal(res.status, 404);
+  }
+  // Each request fell back to the published post with that slug
+  assert.ok(filters.every((filter) => !filter._id));
+});
+
+test('only users who may edit a post can make preview links for it', async (t) => {
+  const author = makeUser({ role: 'author' });
+  const other = makeUser({ role: 'author' });
+  const { session, token } = signIn(other);
+  stubAccounts(t, { users: [author, other], sessions: [session] });
+  const blog = makeBlog(author);
+  stubBlogs(t, [blog]);
+
+  const res = await app.request('POST', `/api/blog/${blog._id}/preview-link`, { token });
+
+  assert.equal(res.status, 403);
+  assert.equal(res.body.data, undefined);
+});
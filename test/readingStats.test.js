@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const mongoose = require('mongoose');
+const Blog = require('../models/Blog');
+
+// A post as loaded from the database, so nothing starts out modified
+const storedBlog = (fields = {}) => Blog.hydrate(JSON.parse(JSON.stringify({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'A stored post',
+  slug: 'a-stored-post',
+  content: 'one two three four five',
+  contentFormat: 'markdown',
+  contentHtml: '<p>one two three four five</p>',
+  excerpt: 'one two three four five',
+  excerptGenerated: true,
+  seoDescription: 'one two three four five',
+  seoDescriptionGenerated: true,
+  category: 'Testing',
+  author: new mongoose.Types.ObjectId(),
+  wordCount: 5,
+  readTime: 1,
+  ...fields
+})));
+
+test('reading stats are left alone when no content field changed', async () => {
+  const blog = storedBlog({ wordCount: 999 });
+
+  blog.views = 10;
+  blog.tags = ['unrelated'];
+  await blog.validate();
+
+  assert.equal(blog.wordCount, 999);
+});
+
+test('reading stats and generated excerpts follow content edits', async () => {
+  const blog = storedBlog({ wordCount: 999 });
+
+  blog.content = 'A rewritten body of seven words here';
+  await blog.validate();
+
+  assert.equal(blog.wordCount, 7);
+  assert.equal(blog.excerpt, 'A rewritten body of seven words here');
+  assert.equal(blog.seoDescription, 'A rewritten body of seven words here');
+});
+
+test('posts saved before reading stats existed get them computed', async () => {
+  // What the backfill loads: no stored wordCount, so the schema default applies
+  const blog = storedBlog({ wordCount: undefined });
+
+  await blog.validate();
+
+  assert.equal(blog.wordCount, 5);
+});
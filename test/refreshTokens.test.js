@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubSave, makeUser, stubAccounts, startApp } = require('./helpers');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+
+let app;
+before(async () => {
+  app = await startApp({ '/api/auth': authRoutes });
+});
+after(() => app.close());
+
+const newSession = (user) => {
+  const session = stubSave(new Session({
+    user: user._id,
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  }));
+  return { session, refreshToken: session.rotateRefreshToken() };
+};
+
+test('refreshing rotates the refresh token and issues a working access token', async (t) => {
+  const user = makeUser();
+  const { session, refreshToken } = newSession(user);
+  stubAccounts(t, { users: [user], sessions: [session] });
+
+  const res = await app.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+  assert.equal(res.status, 200);
+  assert.notEqual(res.body.refreshToken, refreshToken);
+  assert.equal(session.rotationCount, 1);
+
+  const me = await app.request('GET', '/api/auth/me', { token: res.body.token });
+  assert.equal(me.status, 200);
+});
+
+test('replaying a rotated refresh token revokes the whole session', async (t) => {
+  const user = makeUser();
+  const { session, refreshToken } = newSession(user);
+  stubAccounts(t, { users: [user], sessions: [session] });
+
+  const first = await app.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+  assert.equal(first.status, 200);
+
+  const replay = await app.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+  assert.equal(replay.status, 401);
+  assert.equal(session.revokedReason, 'reuse');
+
+  // The legitimate holder of the newest token is signed out as well
+  const latest = await app.request('POST', '/api/auth/refresh', { body: { refreshToken: first.body.refreshToken } });
+  assert.equal(latest.status, 401);
+
+  const me = await app.request('GET', '/api/auth/me', { token: first.body.token });
+  assert.equal(me.status, 401);
+  assert.equal(me.body.code, 'SESSION_REVOKED');
+});
+
+test('a suspended account cannot refresh and its session is revoked', async (t) => {
+  const user = makeUser({ isActive: false });
+  const { session, refreshToken } = newSession(user);
+  stubAccounts(t, { users: [user], sessions: [session] });
+
+  const res = await app.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'ACCOUNT_SUSPENDED');
+  assert.ok(session.revokedAt);
+});
+
+test('malformed and unknown refresh tokens are rejected', async (t) => {
+  stubAccounts(t, {});
+
+  for (const refreshToken of ['garbage', `${new Session()._id}.secret`]) {
+    const res = await app.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+    assert.equal(res.status, 401);
+  }
+});
+
+test('logging out revokes the session behind the access token', async (t) => {
+  const user = makeUser();
+  const { session, refreshToken } = newSession(user);
+  stubAccounts(t, { users: [user], sessions: [session] });
+  const token = user.getSignedJwtToken(session._id);
+
+  const res = await app.request('POST', '/api/auth/logout', { token });
+  assert.equal(res.status, 200);
+  assert.equal(session.revokedReason, 'logout');
+
+  const refresh = await app.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+  assert.equal(refresh.status, 401);
+});
+
+test('access tokens stop working once the token version is bumped', async (t) => {
+  const user = makeUser();
+  const { session } = newSession(user);
+  stubAccounts(t, { users: [user], sessions: [session] });
+  const token = user.getSignedJwtToken(session._id);
+
+  user.tokenVersion += 1;
+
+  const me = await app.request('GET', '/api/auth/me', { token });
+  assert.equal(me.status, 401);
+  assert.equal(me.body.code, 'TOKEN_INVALIDATED');
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query } = require('./helpers');
+const Blog = require('../models/Blog');
+const { relatedPostIds } = require('../utils/relatedPosts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A lean published post as the related posts build reads it
+const post = (title, body, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title,
+  contentHtml: `<p>${body}</p>`,
+  category: 'Other',
+  tags: [],
+  publishedAt: new Date(),
+  ...fields
+});
+
+// Serve `blogs` as the published posts. Every call reports new stats, so the
+// table built by an earlier test is never reused.
+let version = 0;
+const stubPublished = (t, blogs) => {
+  version += 1;
+  const stats = { count: blogs.length, lastmod: new Date(version) };
+  t.mock.method(Blog, 'publishedStats', async () => stats);
+  return t.mock.method(Blog, 'find', () => query(blogs));
+};
+
+const ids = (related) => related.map((entry) => entry.id.toString());
+
+test('posts sharing content, tags and category rank above looser matches', async (t) => {
+  const base = post('Scaling Express servers', 'Express servers scale with clustering and caching.', {
+    category: 'Development', tags: ['Node', 'Performance']
+  });
+  const close = post('Caching Express servers', 'Caching helps Express servers scale under load.', {
+    category: 'Development', tags: ['node', 'performance']
+  });
+  const tagOnly = post('Profiling garbage collection', 'Heap snapshots reveal leaking closures.', {
+    tags: ['performance']
+  });
+  const unrelated = post('Watercolour basics', 'Brushes, pigments and paper texture.');
+  stubPublished(t, [base, close, tagOnly, unrelated]);
+
+  const related = await relatedPostIds(base._id);
+
+  assert.deepEqual(ids(related), [close._id.toString(), tagOnly._id.toString()]);
+  assert.ok(related[0].score > related[1].score);
+});
+
+test('between equally similar posts the newer one ranks first', async (t) => {
+  const base = post('Deploying containers', 'Container images ship faster with layer caching.');
+  const older = post('Container layer caching', 'Layer caching speeds container images.', {
+    publishedAt: new Date(Date.now() - 365 * DAY_MS)
+  });
+  const newer = post('Container layer caching', 'Layer caching speeds container images.', {
+    publishedAt: new Date(Date.now() - DAY_MS)
+  });
+  stubPublished(t, [base, older, newer]);
+
+  const related = await relatedPostIds(base._id);
+
+  assert.deepEqual(ids(related), [newer._id.toString(), older._id.toString()]);
+});
+
+test('the table is reused until the published posts change', async (t) => {
+  const base = post('Testing routes', 'Route tests stub the models.', { category: 'Development' });
+  const blogs = [base, ...[1, 2, 3].map((n) => post(`Post ${n}`, `Body ${n}`, { category: 'Development' }))];
+  const find = stubPublished(t, blogs);
+
+  assert.equal((await relatedPostIds(base._id, 2)).length, 2);
+  assert.equal((await relatedPostIds(base._id)).length, 3);
+  assert.equal(find.mock.callCount(), 1);
+
+  blogs.push(post('Post 4', 'Body 4', { category: 'Development' }));
+  stubPublished(t, blogs);
+  assert.equal((await relatedPostIds(base._id)).length, 4);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderContent } = require('../utils/renderContent');
+
+test('javascript: links and image sources are dropped', () => {
+  const markdown = renderContent('[click](javascript:alert(1)) <a href="JaVaScRiPt:alert(1)">raw</a> <img src="javascript:alert(1)">');
+  const blocks = renderContent(JSON.stringify([
+    { type: 'paragraph', data: { text: '<a href="javascript:alert(1)">x</a>' } },
+    { type: 'image', data: { url: 'javascript:alert(1)' } }
+  ]), 'blocks');
+
+  for (const { html } of [markdown, blocks]) {
+    assert.doesNotMatch(html, /javascript:/i);
+  }
+  assert.match(markdown.html, /<a>click<\/a>/);
+});
+
+test('event handler attributes and scripts are stripped', () => {
+  const { html } = renderContent([
+    '<p onclick="steal()">Text</p>',
+    '<img src="https://example.com/a.png" onerror="steal()">',
+    '<script>steal()</script>',
+    '<a href="https://example.com" onmouseover="steal()">link</a>'
+  ].join('\n\n'));
+
+  assert.doesNotMatch(html, /\bon\w+=/i);
+  assert.doesNotMatch(html, /<script|steal\(\)/);
+  assert.match(html, /<img src="https:\/\/example.com\/a.png" \/>/);
+  // External links are isolated from the opener
+  assert.match(html, /<a href="https:\/\/example.com" rel="noopener noreferrer nofollow" target="_blank">link<\/a>/);
+});
+
+test('only generated heading ids survive', () => {
+  const { html, toc } = renderContent([
+    '## Introduction',
+    '<h2 id="comments">Raw heading</h2>',
+    '<h3 id="introduction" data-heading="guess">Copy</h3>',
+    '## Introduction'
+  ].join('\n\n'));
+
+  assert.deepEqual(toc.map((entry) => entry.id), ['introduction', 'introduction-1']);
+  assert.match(html, /<h2 id="introduction">Introduction<\/h2>/);
+  assert.match(html, /<h2>Raw heading<\/h2>/);
+  assert.match(html, /<h3>Copy<\/h3>/);
+  // The marker telling generated headings apart never reaches the output
+  assert.doesNotMatch(html, /data-heading/);
+});
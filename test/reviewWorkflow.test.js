@@ -0,0 +1,171 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { outbox, query, makeUser, stubAccounts, signIn, makeBlog, stubBlogs, startApp } = require('./helpers');
+const BlogRevision = require('../models/BlogRevision');
+const blogRoutes = require('../routes/blog');
+
+let app;
+before(async () => {
+  app = await startApp({ '/api/blog': blogRoutes });
+});
+after(() => app.close());
+
+const NEW_CONTENT = 'Rewritten after publishing, long enough to pass the content length check.';
+
+// Users with the given roles, all signed in; returns { users, tokens } keyed like `roles`
+const signInAll = (t, roles) => {
+  const users = {};
+  const tokens = {};
+  const sessions = [];
+  Object.entries(roles).forEach(([name, role]) => {
+    users[name] = makeUser({ role, name });
+    const signedIn = signIn(users[name]);
+    tokens[name] = signedIn.token;
+    sessions.push(signedIn.session);
+  });
+  stubAccounts(t, { users: Object.values(users), sessions });
+  return { users, tokens };
+};
+
+const review = (blog, token, action, comment) =>
+  app.request('POST', `/api/blog/${blog._id}/reviews`, { token, body: { action, comment } });
+
+test('a post goes from draft through review and approval to published', async (t) => {
+  const { users, tokens } = signInAll(t, { author: 'author', reviewer: 'reviewer', editor: 'editor' });
+  const blog = makeBlog(users.author);
+  const { reviews } = stubBlogs(t, [blog]);
+
+  const submitted = await review(blog, tokens.author, 'submit');
+  assert.equal(submitted.status, 201);
+  assert.equal(blog.status, 'in_review');
+  assert.ok(blog.submittedAt);
+
+  const approved = await review(blog, tokens.reviewer, 'approve');
+  assert.equal(approved.status, 201);
+  assert.equal(blog.status, 'approved');
+  assert.equal(blog.approvedBy.toString(), users.reviewer.id);
+
+  const published = await app.request('PUT', `/api/blog/${blog._id}`, { token: tokens.editor, body: { status: 'published' } });
+  assert.equal(published.status, 200);
+  assert.equal(blog.status, 'published');
+
+  assert.deepEqual(reviews.mock.calls.map((call) => call.arguments[0].action), ['submit', 'approve']);
+});
+
+test('nobody approves their own post, approvers included', async (t) => {
+  const { users, tokens } = signInAll(t, { editor: 'editor', reviewer: 'reviewer' });
+  const blog = makeBlog(users.editor, { status: 'in_review' });
+  const reviewed = makeBlog(users.reviewer, { status: 'in_review' });
+  stubBlogs(t, [blog, reviewed]);
+
+  const ownByEditor = await review(blog, tokens.editor, 'approve');
+  assert.equal(ownByEditor.status, 403);
+
+  const ownByReviewer = await review(reviewed, tokens.reviewer, 'approve');
+  assert.equal(ownByReviewer.status, 403);
+
+  assert.equal(blog.status, 'in_review');
+  assert.equal(reviewed.status, 'in_review');
+});
+
+test('authors cannot review and reviewers only review posts assigned to them', async (t) => {
+  const { users, tokens } = signInAll(t, { author: 'author', reviewer: 'reviewer', other: 'reviewer' });
+  const blog = makeBlog(users.author, { status: 'in_review', reviewers: [users.other._id] });
+  stubBlogs(t, [blog]);
+
+  assert.equal((await review(blog, tokens.author, 'approve')).status, 403);
+  assert.equal((await review(blog, tokens.reviewer, 'approve')).status, 403);
+  assert.equal((await review(blog, tokens.other, 'approve')).status, 201);
+});
+
+test('only posts in review can be approved', async (t) => {
+  const { users, tokens } = signInAll(t, { author: 'author', reviewer: 'reviewer' });
+  const blog = makeBlog(users.author);
+  stubBlogs(t, [blog]);
+
+  const res = await review(blog, tokens.reviewer, 'approve');
+
+  assert.equal(res.status, 400);
+  assert.equal(blog.status, 'draft');
+});
+
+test('requesting changes sends the post back to the author', async (t) => {
+  const { users, tokens } = signInAll(t, { author: 'author', reviewer: 'reviewer' });
+  const blog = makeBlog(users.author, { status: 'in_review' });
+  stubBlogs(t, [blog]);
+  const sent = outbox.length;
+
+  assert.equal((await review(blog, tokens.reviewer, 'request_changes')).status, 400);
+
+  const res = await review(blog, tokens.reviewer, 'request_changes', 'Please add sources');
+  assert.equal(res.status, 201);
+  assert.equal(blog.status, 'draft');
+  assert.equal(outbox.length, sent + 1);
+  assert.equal(outbox[outbox.length - 1].to, users.author.email);
+});
+
+test("an author's content edit to a published post goes back to review", async (t) => {
+  const { users, tokens } = signInAll(t, { author: 'author', editor: 'editor' });
+  const blog = makeBlog(users.author, {
+    status: 'published',
+    publishedAt: new Date(),
+    approvedBy: users.editor._id,
+    approvedAt: new Date()
+  });
+  const { reviews } = stubBlogs(t, [blog]);
+
+  const res = await app.request('PUT', `/api/blog/${blog._id}`, { token: tokens.author, body: { content: NEW_CONTENT } });
+
+  assert.equal(res.status, 200);
+  assert.equal(blog.status, 'in_review');
+  assert.equal(blog.approvedBy, null);
+  assert.equal(reviews.mock.calls[0].arguments[0].action, 'submit');
+});
+
+test("an author's content edit to a scheduled post goes back to review", async (t) => {
+  const { users, tokens } = signInAll(t, { author: 'author' });
+  const blog = makeBlog(users.author, { status: 'scheduled', publishAt: new Date(Date.now() + 60 * 60 * 1000) });
+  stubBlogs(t, [blog]);
+
+  const res = await app.request('PUT', `/api/blog/${blog._id}`, { token: tokens.author, body: { title: 'A better title for it' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(blog.status, 'in_review');
+});
+
+test('approvers edit published posts without sending them back to review', async (t) => {
+  const { users, tokens } = signInAll(t, { author: 'author', editor: 'editor' });
+  const blog = makeBlog(users.author, { status: 'published', publishedAt: new Date() });
+  stubBlogs(t, [blog]);
+
+  const res = await app.request('PUT', `/api/blog/${blog._id}`, { token: tokens.editor, body: { content: NEW_CONTENT } });
+
+  assert.equal(res.status, 200);
+  assert.equal(blog.status, 'published');
+  assert.equal(blog.content, NEW_CONTENT);
+});
+
+test('restoring a revision of a published post sends it back to review unless an approver restores it', async (t) => {
+  const { users, tokens } = signInAll(t, { author: 'author', editor: 'editor' });
+  const blog = makeBlog(users.author, { status: 'published', publishedAt: new Date() });
+  const approverBlog = makeBlog(users.author, { status: 'published', publishedAt: new Date() });
+  const { revisions, reviews } = stubBlogs(t, [blog, approverBlog]);
+  t.mock.method(BlogRevision, 'findOne', ({ blog: id, revision }) => query(new BlogRevision({
+    blog: id,
+    revision,
+    title: 'The original title',
+    content: NEW_CONTENT
+  })));
+
+  const restored = await app.request('POST', `/api/blog/${blog._id}/revisions/1/restore`, { token: tokens.author });
+  assert.equal(restored.status, 200);
+  assert.equal(blog.title, 'The original title');
+  assert.equal(blog.status, 'in_review');
+  assert.equal(reviews.mock.calls[0].arguments[0].action, 'submit');
+  assert.equal(revisions.mock.callCount(), 1);
+
+  const byApprover = await app.request('POST', `/api/blog/${approverBlog._id}/revisions/1/restore`, { token: tokens.editor });
+  assert.equal(byApprover.status, 200);
+  assert.equal(approverBlog.title, 'The original title');
+  assert.equal(approverBlog.status, 'published');
+});
@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, makeUser, stubAccounts, signIn, makeBlog, stubBlogs, startApp } = require('./helpers');
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const blogRoutes = require('../routes/blog');
+
+let app;
+before(async () => {
+  app = await startApp({ '/api/blog': blogRoutes });
+});
+after(() => app.close());
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+test('a page view is counted atomically without saving the post', async (t) => {
+  const author = makeUser();
+  const blog = makeBlog(author, { status: 'published', slug: 'counted', views: 4 });
+  stubBlogs(t, [blog]);
+  t.mock.method(Blog, 'findOne', () => query(blog));
+  const updateOne = t.mock.method(Blog, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  const res = await app.request('GET', '/api/blog/counted');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.views, 5);
+  assert.equal(blog.saveCount, 0);
+  assert.deepEqual(updateOne.mock.calls[0].arguments, [
+    { _id: blog._id },
+    { $inc: { views: 1 } },
+    { timestamps: false }
+  ]);
+});
+
+test('likes toggle with $addToSet and $pull instead of a save', async (t) => {
+  const author = makeUser();
+  const reader = makeUser();
+  const { session, token } = signIn(reader);
+  stubAccounts(t, { users: [author, reader], sessions: [session] });
+  const blog = makeBlog(author, { status: 'published' });
+  stubBlogs(t, [blog]);
+  const updates = [];
+  t.mock.method(Blog, 'findByIdAndUpdate', (id, update, options) => {
+    updates.push({ update, options });
+    if (update.$addToSet) blog.likes.addToSet(update.$addToSet.likes);
+    if (update.$pull) blog.likes.pull(update.$pull.likes);
+    return query(blog);
+  });
+
+  const liked = await app.request('POST', `/api/blog/${blog._id}/like`, { token });
+  assert.equal(liked.status, 200);
+  assert.equal(liked.body.data.isLiked, true);
+  assert.equal(liked.body.data.likeCount, 1);
+
+  const unliked = await app.request('POST', `/api/blog/${blog._id}/like`, { token });
+  assert.equal(unliked.body.data.isLiked, false);
+  assert.equal(unliked.body.data.likeCount, 0);
+
+  assert.ok(updates[0].update.$addToSet);
+  assert.ok(updates[1].update.$pull);
+  assert.equal(updates[0].options.timestamps, false);
+  assert.equal(blog.saveCount, 0);
+});
+
+test('a revision number taken by a concurrent write is retried', async (t) => {
+  const blog = makeBlog(makeUser());
+  let stored = null;
+  t.mock.method(BlogRevision, 'findOne', () => query(stored));
+  const create = t.mock.method(BlogRevision, 'create', async (fields) => {
+    if (!stored) {
+      // Another request saved revision 1 in the meantime
+      stored = new BlogRevision({ ...fields, title: 'Saved by the other request' });
+      throw duplicateKeyError();
+    }
+    return new BlogRevision(fields);
+  });
+  t.mock.method(BlogRevision, 'find', () => query([]));
+
+  const revision = await BlogRevision.record(blog, blog.author);
+
+  assert.equal(revision.revision, 2);
+  assert.equal(create.mock.callCount(), 2);
+});
+
+test('a concurrent write of the same content is not recorded twice', async (t) => {
+  const blog = makeBlog(makeUser());
+  let stored = null;
+  t.mock.method(BlogRevision, 'findOne', () => query(stored));
+  const create = t.mock.method(BlogRevision, 'create', async (fields) => {
+    stored = new BlogRevision(fields);
+    throw duplicateKeyError();
+  });
+
+  const revision = await BlogRevision.record(blog, blog.author);
+
+  assert.equal(revision, stored);
+  assert.equal(create.mock.callCount(), 1);
+});
@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, makeUser, stubAccounts, signIn, makeBlog, stubBlogs, startApp } = require('./helpers');
+const Blog = require('../models/Blog');
+const { runDueTransitions } = require('../utils/blogScheduler');
+const blogRoutes = require('../routes/blog');
+
+let app;
+before(async () => {
+  app = await startApp({ '/api/blog': blogRoutes });
+});
+after(() => app.close());
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// An editor, signed in, and a post by them
+const editorWithPost = (t, fields) => {
+  const editor = makeUser({ role: 'editor' });
+  const { session, token } = signIn(editor);
+  stubAccounts(t, { users: [editor], sessions: [session] });
+  const blog = makeBlog(editor, fields);
+  stubBlogs(t, [blog]);
+  return { blog, token };
+};
+
+test('republishing an archived post drops an unpublishAt that has passed', async (t) => {
+  const { blog, token } = editorWithPost(t, {
+    status: 'archived',
+    publishedAt: new Date(Date.now() - 48 * HOUR_MS),
+    unpublishAt: new Date(Date.now() - HOUR_MS)
+  });
+
+  const res = await app.request('PUT', `/api/blog/${blog._id}`, { token, body: { status: 'published' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(blog.status, 'published');
+  assert.equal(blog.unpublishAt, null);
+});
+
+test('republishing keeps an unpublishAt that is still ahead', async (t) => {
+  const unpublishAt = new Date(Date.now() + HOUR_MS);
+  const { blog, token } = editorWithPost(t, { status: 'archived', unpublishAt });
+
+  const res = await app.request('PUT', `/api/blog/${blog._id}`, { token, body: { status: 'published' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(blog.unpublishAt.getTime(), unpublishAt.getTime());
+});
+
+test('an explicit unpublishAt before the post goes live is still rejected', async (t) => {
+  const { blog, token } = editorWithPost(t, { status: 'archived' });
+
+  const res = await app.request('PUT', `/api/blog/${blog._id}`, {
+    token,
+    body: { status: 'published', unpublishAt: new Date(Date.now() - HOUR_MS).toISOString() }
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(blog.status, 'archived');
+});
+
+// Blog.find and the conditional Blog.updateOne the scheduler uses, over `blogs`
+const stubSchedulerQueries = (t, blogs) => {
+  const matches = (blog, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (field === '_id') return blog._id.equals(condition);
+    if (condition && condition.$lte) return blog[field] != null && blog[field] <= condition.$lte;
+    return blog[field] === condition;
+  });
+  t.mock.method(Blog, 'find', (filter) => query(blogs.filter((blog) => matches(blog, filter))));
+  return t.mock.method(Blog, 'updateOne', async (filter, update) => {
+    const blog = blogs.find((doc) => matches(doc, filter));
+    if (blog) Object.assign(blog, update);
+    return { modifiedCount: blog ? 1 : 0 };
+  });
+};
+
+test('the scheduler publishes and archives posts that are due, and nothing else', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const author = makeUser();
+  const publishAt = new Date(Date.now() - HOUR_MS);
+  const due = makeBlog(author, { status: 'scheduled', publishAt });
+  const later = makeBlog(author, { status: 'scheduled', publishAt: new Date(Date.now() + HOUR_MS) });
+  const expired = makeBlog(author, { status: 'published', unpublishAt: new Date(Date.now() - HOUR_MS) });
+  const running = makeBlog(author, { status: 'published', unpublishAt: new Date(Date.now() + HOUR_MS) });
+  stubSchedulerQueries(t, [due, later, expired, running]);
+
+  const result = await runDueTransitions();
+
+  assert.deepEqual(result, { published: 1, unpublished: 1 });
+  assert.equal(due.status, 'published');
+  assert.equal(due.publishedAt.getTime(), publishAt.getTime());
+  assert.equal(later.status, 'scheduled');
+  assert.equal(expired.status, 'archived');
+  assert.equal(running.status, 'published');
+});
+
+test('posts another instance already moved are not counted twice', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const blog = makeBlog(makeUser(), { status: 'scheduled', publishAt: new Date(Date.now() - HOUR_MS) });
+  const updateOne = stubSchedulerQueries(t, [blog]);
+  // Found as due, but published elsewhere before this instance's update
+  updateOne.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+
+  const result = await runDueTransitions();
+
+  assert.deepEqual(result, { published: 0, unpublished: 0 });
+  assert.equal(updateOne.mock.calls[0].arguments[0].status, 'scheduled');
+});
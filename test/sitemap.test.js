@@ -0,0 +1,36 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+const sitemapRoutes = require('../routes/sitemap');
+
+let app;
+before(async () => {
+  app = await startApp({ '/': sitemapRoutes });
+});
+after(() => app.close());
+
+test('category sitemap entries link to the category slug', async (t) => {
+  const lastmod = new Date('2026-01-02T03:04:05Z');
+  const pipelines = [];
+  t.mock.method(Blog, 'aggregate', async (pipeline) => {
+    pipelines.push(pipeline);
+    const grouped = pipeline[pipeline.length - 1].$group;
+    return grouped
+      ? [{ _id: null, count: 1, lastmod }]
+      : [{ _id: 'AI/ML', slug: 'ai-ml', lastmod }];
+  });
+
+  const res = await app.request('GET', '/sitemap-categories-1.xml');
+
+  assert.equal(res.status, 200);
+  assert.match(res.body, /<loc>https:\/\/[^<]+\/blog\/category\/ai-ml<\/loc>/);
+  assert.ok(!res.body.includes('AI%2FML'));
+  // Both the count and the URLs come from posts joined to their Category
+  pipelines.forEach((pipeline) => {
+    const lookup = pipeline.find((stage) => stage.$lookup).$lookup;
+    assert.equal(lookup.from, Category.collection.name);
+    assert.equal(lookup.foreignField, 'name');
+  });
+});
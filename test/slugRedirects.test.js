@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, makeUser, makeBlog, startApp } = require('./helpers');
+const Blog = require('../models/Blog');
+const blogRoutes = require('../routes/blog');
+
+let app;
+before(async () => {
+  app = await startApp({ '/api/blog': blogRoutes });
+});
+after(() => app.close());
+
+// Blog.findOne finding `blog` by its current or a previous slug
+const stubFindOne = (t, blog) => t.mock.method(Blog, 'findOne', (filter) => query(
+  filter.slug === blog.slug || blog.previousSlugs.includes(filter.previousSlugs) ? blog : null
+));
+
+test('an old slug answers with a redirect to the current one', async (t) => {
+  const blog = makeBlog(makeUser(), { status: 'published', slug: 'new-title', previousSlugs: ['old-title'] });
+  stubFindOne(t, blog);
+  const updateOne = t.mock.method(Blog, 'updateOne', async () => ({}));
+
+  const res = await app.request('GET', '/api/blog/old-title');
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.redirect, { from: 'old-title', to: 'new-title', permanent: true });
+  assert.equal(res.body.data, undefined);
+  // Redirects are not views
+  assert.equal(updateOne.mock.callCount(), 0);
+});
+
+test('a slug no post ever had is still a 404', async (t) => {
+  stubFindOne(t, makeBlog(makeUser(), { status: 'published', slug: 'new-title', previousSlugs: ['old-title'] }));
+
+  const res = await app.request('GET', '/api/blog/never-existed');
+
+  assert.equal(res.status, 404);
+});
+
+test('retitling a saved post keeps its old slug for redirects', async () => {
+  const blog = Blog.hydrate(JSON.parse(JSON.stringify(makeBlog(makeUser(), {
+    title: 'Old title',
+    slug: 'old-title',
+    previousSlugs: ['first-title']
+  }).toObject())));
+
+  blog.title = 'New title';
+  await blog.validate();
+  assert.equal(blog.slug, 'new-title');
+  assert.deepEqual([...blog.previousSlugs], ['first-title', 'old-title']);
+
+  // Going back to an earlier slug (after a save, which stores the new one)
+  // takes it out of the redirects
+  blog.$locals.storedSlug = blog.slug;
+  blog.title = 'First title';
+  await blog.validate();
+  assert.equal(blog.slug, 'first-title');
+  assert.deepEqual([...blog.previousSlugs], ['old-title', 'new-title']);
+});
@@ -0,0 +1,155 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, makeUser, stubAccounts, startApp } = require('./helpers');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const authRoutes = require('../routes/auth');
+
+let app;
+before(async () => {
+  app = await startApp({ '/api/auth': authRoutes });
+});
+after(() => app.close());
+
+const STEP_MS = 30 * 1000;
+
+// A user with 2FA enabled whose password is "correct-horse"
+const makeTwoFactorUser = () => makeUser({
+  password: 'correct-horse',
+  twoFactorEnabled: true,
+  twoFactorSecret: totp.generateSecret()
+});
+
+// Log in with the password, returning the challenge token for the second step
+const passwordStep = async (t, user) => {
+  t.mock.method(User, 'findOne', () => query(user));
+  const res = await app.request('POST', '/api/auth/login', {
+    body: { email: user.email, password: 'correct-horse' }
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.twoFactorRequired, true);
+  assert.equal(res.body.token, undefined);
+  return res.body.challengeToken;
+};
+
+test('TOTP codes verify within one step of clock drift and no further', () => {
+  const secret = totp.generateSecret();
+  const now = Date.now();
+  const step = Math.floor(now / STEP_MS);
+
+  assert.equal(totp.verify(totp.generate(secret, now), secret, { timestamp: now }), step);
+  assert.equal(totp.verify(totp.generate(secret, now - STEP_MS), secret, { timestamp: now }), step - 1);
+  assert.equal(totp.verify(totp.generate(secret, now + STEP_MS), secret, { timestamp: now }), step + 1);
+  assert.equal(totp.verify(totp.generate(secret, now - 3 * STEP_MS), secret, { timestamp: now }), null);
+  assert.equal(totp.verify('abcdef', secret, { timestamp: now }), null);
+  assert.equal(totp.verify('123456', undefined, { timestamp: now }), null);
+});
+
+test('TOTP matches the RFC 6238 SHA-1 test vector', () => {
+  // Base32 of the RFC's "12345678901234567890" seed
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  assert.equal(totp.generate(secret, 59 * 1000), '287082');
+  assert.equal(totp.generate(secret, 1111111109 * 1000), '081804');
+});
+
+test('a TOTP code cannot be used twice', () => {
+  const user = makeTwoFactorUser();
+  const code = totp.generate(user.twoFactorSecret);
+
+  assert.equal(user.verifyTwoFactorCode(code), 'totp');
+  assert.equal(user.verifyTwoFactorCode(code), null);
+
+  // Nor can an older code still inside the drift window
+  const previous = totp.generate(user.twoFactorSecret, Date.now() - STEP_MS);
+  assert.equal(user.verifyTwoFactorCode(previous), null);
+});
+
+test('backup codes are stored hashed and work once each', () => {
+  const user = makeTwoFactorUser();
+  const codes = user.generateBackupCodes();
+
+  assert.equal(codes.length, 10);
+  assert.equal(user.twoFactorBackupCodes.length, 10);
+  codes.forEach((code) => assert.ok(!user.twoFactorBackupCodes.includes(code)));
+
+  // Case and surrounding spaces are forgiven
+  assert.equal(user.verifyTwoFactorCode(` ${codes[0].toUpperCase()} `), 'backup');
+  assert.equal(user.verifyTwoFactorCode(codes[0]), null);
+  assert.equal(user.twoFactorBackupCodes.length, 9);
+  assert.equal(user.verifyTwoFactorCode(codes[1]), 'backup');
+});
+
+test('a 2FA login needs the password and then a valid code', async (t) => {
+  const user = makeTwoFactorUser();
+  stubAccounts(t, { users: [user] });
+  const challengeToken = await passwordStep(t, user);
+
+  const res = await app.request('POST', '/api/auth/login/2fa', {
+    body: { challengeToken, code: totp.generate(user.twoFactorSecret) }
+  });
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.token);
+  assert.ok(res.body.refreshToken);
+
+  const me = await app.request('GET', '/api/auth/me', { token: res.body.token });
+  assert.equal(me.status, 200);
+});
+
+test('a TOTP code that already signed in is refused for the next login', async (t) => {
+  const user = makeTwoFactorUser();
+  stubAccounts(t, { users: [user] });
+  const code = totp.generate(user.twoFactorSecret);
+
+  const first = await app.request('POST', '/api/auth/login/2fa', {
+    body: { challengeToken: await passwordStep(t, user), code }
+  });
+  assert.equal(first.status, 200);
+
+  t.mock.method(User, 'registerFailedLogin', async () => null);
+  const replay = await app.request('POST', '/api/auth/login/2fa', {
+    body: { challengeToken: await passwordStep(t, user), code }
+  });
+  assert.equal(replay.status, 401);
+});
+
+test('a backup code completes a 2FA login once', async (t) => {
+  const user = makeTwoFactorUser();
+  const [code] = user.generateBackupCodes();
+  stubAccounts(t, { users: [user] });
+  t.mock.method(User, 'registerFailedLogin', async () => null);
+
+  const first = await app.request('POST', '/api/auth/login/2fa', {
+    body: { challengeToken: await passwordStep(t, user), code }
+  });
+  assert.equal(first.status, 200);
+
+  const again = await app.request('POST', '/api/auth/login/2fa', {
+    body: { challengeToken: await passwordStep(t, user), code }
+  });
+  assert.equal(again.status, 401);
+});
+
+test('wrong codes count as failed logins', async (t) => {
+  const user = makeTwoFactorUser();
+  stubAccounts(t, { users: [user] });
+  const registerFailedLogin = t.mock.method(User, 'registerFailedLogin', async () => null);
+
+  const res = await app.request('POST', '/api/auth/login/2fa', {
+    body: { challengeToken: await passwordStep(t, user), code: '000000' }
+  });
+
+  assert.equal(res.status, 401);
+  assert.equal(registerFailedLogin.mock.callCount(), 1);
+});
+
+test('the second step only accepts a 2FA challenge token', async (t) => {
+  const user = makeTwoFactorUser();
+  stubAccounts(t, { users: [user] });
+  const code = totp.generate(user.twoFactorSecret);
+
+  for (const challengeToken of ['not-a-jwt', user.getSignedJwtToken('session')]) {
+    const res = await app.request('POST', '/api/auth/login/2fa', { body: { challengeToken, code } });
+    assert.equal(res.status, 401);
+  }
+});
@@ -0,0 +1,55 @@
+const User = require('../models/User');
+const Blog = require('../models/Blog');
+const BlogReview = require('../models/BlogReview');
+const Comment = require('../models/Comment');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+
+const graceDays = () => parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+// When a deletion requested now will be carried out
+exports.scheduledDeletionDate = () => new Date(Date.now() + graceDays() * 24 * 60 * 60 * 1000);
+
+// Remove a user's likes and reviewer assignments, anonymise their comments and
+// reviews (the text stays so threads still read correctly) and delete the
+// account with its sessions and API keys.
+exports.purgeUser = async (userId) => {
+  await Blog.updateMany(
+    { likes: userId },
+    { $pull: { likes: userId } }
+  );
+  await Comment.updateMany({ user: userId }, { user: null });
+  await Blog.updateMany(
+    { reviewers: userId },
+    { $pull: { reviewers: userId } }
+  );
+  await BlogReview.updateMany({ user: userId }, { user: null });
+  await Session.deleteMany({ user: userId });
+  await ApiKey.updateMany(
+    { createdBy: userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+  await User.findByIdAndDelete(userId);
+};
+
+// Purge every account whose grace period has ended, returns how many were removed.
+// Posts may have been handed to the user during the grace period; those
+// accounts stay scheduled until the posts are reassigned or deleted.
+exports.runScheduledDeletions = async () => {
+  const due = await User.find({ deletionScheduledFor: { $lte: new Date() } }).select('_id');
+  let removed = 0;
+  for (const user of due) {
+    try {
+      if (await Blog.exists({ author: user._id })) {
+        console.warn('Scheduled account deletion skipped, the account still authors blogs:', user._id.toString());
+        continue;
+      }
+      await exports.purgeUser(user._id);
+      removed += 1;
+      console.log('🗑️ Deleted account after grace period:', user._id.toString());
+    } catch (error) {
+      console.error('Scheduled account deletion error:', user._id.toString(), error);
+    }
+  }
+  return removed;
+};
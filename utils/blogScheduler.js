@@ -0,0 +1,110 @@
+const Blog = require('../models/Blog');
+
+// In-process scheduler that publishes `scheduled` posts at their publishAt and
+// archives published posts at their unpublishAt. All state lives on the blog
+// documents, so anything that came due while the server was down is applied on
+// start. Updates are conditional, making it safe to run on several instances.
+
+// Re-check at least this often so schedules saved elsewhere are picked up
+const MAX_SLEEP_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+let rerun = false;
+let started = false;
+
+// Apply every transition that is due, returns { published, unpublished }
+exports.runDueTransitions = async (now = new Date()) => {
+  const due = await Blog.find({ status: 'scheduled', publishAt: { $lte: now } })
+    .select('_id slug publishAt');
+
+  let published = 0;
+  for (const blog of due) {
+    const result = await Blog.updateOne(
+      { _id: blog._id, status: 'scheduled', publishAt: { $lte: now } },
+      { status: 'published', publishedAt: blog.publishAt }
+    );
+    if (result.modifiedCount) {
+      published += 1;
+      console.log('📅 Published scheduled blog:', blog.slug);
+    }
+  }
+
+  const expired = await Blog.find({ status: 'published', unpublishAt: { $lte: now } })
+    .select('_id slug');
+
+  let unpublished = 0;
+  for (const blog of expired) {
+    const result = await Blog.updateOne(
+      { _id: blog._id, status: 'published', unpublishAt: { $lte: now } },
+      { status: 'archived' }
+    );
+    if (result.modifiedCount) {
+      unpublished += 1;
+      console.log('📅 Unpublished expired blog:', blog.slug);
+    }
+  }
+
+  return { published, unpublished };
+};
+
+// Earliest upcoming transition, or null when nothing is scheduled
+const nextDueAt = async () => {
+  const [nextPublish, nextUnpublish] = await Promise.all([
+    Blog.findOne({ status: 'scheduled', publishAt: { $ne: null } })
+      .sort({ publishAt: 1 })
+      .select('publishAt'),
+    Blog.findOne({ status: 'published', unpublishAt: { $ne: null } })
+      .sort({ unpublishAt: 1 })
+      .select('unpublishAt')
+  ]);
+
+  const dates = [
+    nextPublish && nextPublish.publishAt,
+    nextUnpublish && nextUnpublish.unpublishAt
+  ].filter(Boolean);
+  return dates.length ? new Date(Math.min(...dates.map((date) => date.getTime()))) : null;
+};
+
+const tick = async () => {
+  clearTimeout(timer);
+  timer = null;
+
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+
+  let delay = MAX_SLEEP_MS;
+  try {
+    await exports.runDueTransitions();
+    const next = await nextDueAt();
+    if (next) {
+      delay = Math.min(delay, Math.max(next.getTime() - Date.now(), 0));
+    }
+  } catch (error) {
+    console.error('Blog scheduler error:', error);
+  } finally {
+    running = false;
+  }
+
+  if (rerun) {
+    rerun = false;
+    delay = 0;
+  }
+  timer = setTimeout(tick, delay);
+  timer.unref();
+};
+
+// Start the scheduler once the database connection is ready
+exports.startBlogScheduler = () => {
+  if (started) return;
+  started = true;
+  tick();
+};
+
+// Re-plan immediately, e.g. after a post was scheduled sooner than the next check
+exports.wakeBlogScheduler = () => {
+  if (started) tick();
+};
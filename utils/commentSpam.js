@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const Comment = require('../models/Comment');
+
+// Offline spam scoring for comments. Each check looks at one signal and returns
+// { score, detail } (or nothing); scores add up and comments at or above
+// COMMENT_SPAM_THRESHOLD go straight to the spam bucket. More checks can be
+// plugged in with registerCheck().
+//
+// A check receives the context
+//   { text, contentHash, body, user, blog, excludeId }
+// where body is the raw request body (for the honeypot) and excludeId is the
+// comment being edited, if any.
+
+const SPAM_KEYWORDS = [
+  'viagra', 'cialis', 'casino', 'betting', 'payday loan', 'free money', 'make money fast',
+  'work from home', 'buy now', 'click here', 'limited offer', 'crypto giveaway', 'double your',
+  'seo services', 'backlinks', 'escort', 'porn', 'xxx', 'replica watches', 'weight loss'
+];
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Lower-cased text with whitespace collapsed, so trivial variations still match
+const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+exports.contentHash = (text) => crypto.createHash('sha256').update(normalize(text)).digest('hex');
+
+// Terms from COMMENT_BLOCKLIST (comma separated) and COMMENT_BLOCKLIST_FILE
+// (one per line, # for comments). The file is re-read when it changes.
+let blocklistFile = { path: null, mtime: 0, terms: [] };
+const loadBlocklistFile = () => {
+  const file = process.env.COMMENT_BLOCKLIST_FILE;
+  if (!file) return [];
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (blocklistFile.path !== file || blocklistFile.mtime !== mtimeMs) {
+      const terms = fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter((line) => !line.trim().startsWith('#'));
+      blocklistFile = { path: file, mtime: mtimeMs, terms };
+    }
+    return blocklistFile.terms;
+  } catch (err) {
+    console.error('Comment blocklist file error:', err.message);
+    return [];
+  }
+};
+
+const loadBlocklist = () => [...new Set([
+  ...(process.env.COMMENT_BLOCKLIST || '').split(','),
+  ...loadBlocklistFile()
+].map(normalize).filter(Boolean))];
+
+// Leave out the comment being edited when comparing against stored comments
+const notSelf = (excludeId) => (excludeId ? { _id: { $ne: excludeId } } : {});
+
+const checks = [
+  {
+    // Hidden form field people never see; bots fill in every input
+    name: 'honeypot',
+    run: ({ body }) => {
+      const field = process.env.COMMENT_HONEYPOT_FIELD || 'website';
+      if (body && body[field]) {
+        return { score: 10, detail: `Honeypot field "${field}" was filled in` };
+      }
+    }
+  },
+  {
+    name: 'links',
+    run: ({ text }) => {
+      const links = (text.match(/(https?:\/\/|www\.)\S+/gi) || []).length;
+      if (links) {
+        return { score: 1 + (links - 1) * 2, detail: `${links} link(s)` };
+      }
+    }
+  },
+  {
+    name: 'keywords',
+    run: ({ text }) => {
+      const normalized = normalize(text);
+      const found = SPAM_KEYWORDS.filter((keyword) => normalized.includes(keyword));
+      const letters = text.replace(/[^a-z]/gi, '');
+      const shouting = letters.length >= 20 &&
+        letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7;
+
+      const score = found.length * 2 + (shouting ? 1 : 0);
+      if (score) {
+        const reasons = [...found];
+        if (shouting) reasons.push('mostly capitals');
+        return { score, detail: reasons.join(', ') };
+      }
+    }
+  },
+  {
+    name: 'blocklist',
+    run: ({ text }) => {
+      const normalized = normalize(text);
+      const found = loadBlocklist().filter((term) => normalized.includes(term));
+      if (found.length) {
+        return { score: found.length * 10, detail: `Blocked terms: ${found.join(', ')}` };
+      }
+    }
+  },
+  {
+    // Many comments from one user in a short time
+    name: 'velocity',
+    run: async ({ user, excludeId }) => {
+      if (!user) return;
+      const windowMinutes = envInt('COMMENT_VELOCITY_WINDOW_MINUTES', 10);
+      const limit = envInt('COMMENT_VELOCITY_LIMIT', 5);
+      const recent = await Comment.countDocuments({
+        user: user._id,
+        ...notSelf(excludeId),
+        createdAt: { $gte: new Date(Date.now() - windowMinutes * 60 * 1000) }
+      });
+      // recent leaves out the comment being scored, so this flags the one past the limit
+      if (recent >= limit) {
+        return {
+          score: 4 + (recent - limit),
+          detail: `${recent} comments in the last ${windowMinutes} minutes`
+        };
+      }
+    }
+  },
+  {
+    // The same text posted again, by this user or by several others
+    name: 'duplicate',
+    run: async ({ contentHash, user, excludeId }) => {
+      const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      const copies = await Comment.find({
+        contentHash,
+        ...notSelf(excludeId),
+        createdAt: { $gte: since }
+      }).select('user').limit(20);
+
+      const own = user ? copies.filter((copy) => copy.user && copy.user.equals(user._id)).length : 0;
+      const others = copies.length - own;
+      const score = (own ? 4 : 0) + (others >= 2 ? 3 : 0);
+      if (score) {
+        return { score, detail: `Posted ${own} time(s) by this user and ${others} time(s) by others in 24h` };
+      }
+    }
+  }
+];
+
+// Add a check: { name, run: async (context) => ({ score, detail }) | undefined }
+exports.registerCheck = (check) => {
+  if (!check || !check.name || typeof check.run !== 'function') {
+    throw new Error('A spam check needs a name and a run function');
+  }
+  checks.push(check);
+};
+
+exports.spamThreshold = () => envInt('COMMENT_SPAM_THRESHOLD', 6);
+
+// Run every check. Returns { score, reasons, contentHash, isSpam }.
+// A failing check is logged and skipped so posting never breaks on it.
+exports.scoreComment = async ({ text, body, user, blog, excludeId }) => {
+  const context = {
+    text: String(text || ''),
+    contentHash: exports.contentHash(text),
+    body,
+    user,
+    blog,
+    excludeId
+  };
+
+  const reasons = [];
+  for (const check of checks) {
+    try {
+      const result = await check.run(context);
+      if (result && result.score) {
+        reasons.push({ check: check.name, score: result.score, detail: result.detail });
+      }
+    } catch (error) {
+      console.error(`Spam check "${check.name}" error:`, error);
+    }
+  }
+
+  const score = reasons.reduce((total, reason) => total + reason.score, 0);
+  return {
+    score,
+    reasons,
+    contentHash: context.contentHash,
+    isSpam: score >= exports.spamThreshold()
+  };
+};
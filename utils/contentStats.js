@@ -0,0 +1,13 @@
+// { count, lastmod } of the documents matching `match`. Caches built from a
+// collection (sitemaps, related posts, search suggestions) compare it to tell
+// when they are stale.
+exports.summarize = async (Model, match) => {
+  const [row] = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: null, count: { $sum: 1 }, lastmod: { $max: '$updatedAt' } } }
+  ]);
+  return row ? { count: row.count, lastmod: row.lastmod } : { count: 0, lastmod: null };
+};
+
+// Compact cache key for a summarize() result
+exports.statsSignature = (stats) => `${stats.count}:${stats.lastmod ? stats.lastmod.getTime() : 0}`;
@@ -0,0 +1,66 @@
+// Line-based diff (longest common subsequence) for comparing text revisions.
+// Returns consecutive runs as [{ type: 'equal' | 'added' | 'removed', lines: [...] }].
+const MAX_CELLS = 4000000;
+
+const pushRun = (runs, type, line) => {
+  const last = runs[runs.length - 1];
+  if (last && last.type === type) last.lines.push(line);
+  else runs.push({ type, lines: [line] });
+};
+
+exports.diffLines = (oldText = '', newText = '') => {
+  const a = String(oldText || '').split('\n');
+  const b = String(newText || '').split('\n');
+
+  // Trim the common prefix and suffix first, most edits touch a small region
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const runs = [];
+  a.slice(0, start).forEach((line) => pushRun(runs, 'equal', line));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_CELLS) {
+    // Too large for a full table, report the changed region as a replacement
+    midA.forEach((line) => pushRun(runs, 'removed', line));
+    midB.forEach((line) => pushRun(runs, 'added', line));
+  } else {
+    const rows = midA.length + 1;
+    const cols = midB.length + 1;
+    const table = new Uint32Array(rows * cols);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        table[i * cols + j] = midA[i] === midB[j]
+          ? table[(i + 1) * cols + j + 1] + 1
+          : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        pushRun(runs, 'equal', midA[i]);
+        i++;
+        j++;
+      } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+        pushRun(runs, 'removed', midA[i++]);
+      } else {
+        pushRun(runs, 'added', midB[j++]);
+      }
+    }
+    while (i < midA.length) pushRun(runs, 'removed', midA[i++]);
+    while (j < midB.length) pushRun(runs, 'added', midB[j++]);
+  }
+
+  a.slice(endA).forEach((line) => pushRun(runs, 'equal', line));
+  return runs;
+};
@@ -0,0 +1,130 @@
+// RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents for the blog.
+//
+// Every builder takes the same input:
+//   feed  - { title, description, siteUrl, feedUrl, updated }
+//   items - [{ id, title, url, summary, contentHtml, published, updated,
+//              author, categories, image }]
+// where contentHtml is only set in full-content mode.
+
+const escapeXml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  avif: 'image/avif'
+};
+
+const imageType = (url) => {
+  const extension = (String(url).split('?')[0].split('.').pop() || '').toLowerCase();
+  return IMAGE_TYPES[extension] || 'image/jpeg';
+};
+
+// Make root-relative URLs (e.g. /uploads/x.jpg) absolute against baseUrl
+const absoluteUrl = (url, baseUrl) => {
+  if (!url) return url;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('//')) return url;
+  return `${baseUrl}${url.startsWith('/') ? '' : '/'}${url}`;
+};
+
+// Same for every src/href attribute in rendered HTML, as feed readers have no base URL
+const absoluteHtml = (html, baseUrl) => String(html || '')
+  .replace(/(\s(?:src|href)=")(\/[^"/][^"]*|\/)"/g, (match, prefix, url) => `${prefix}${baseUrl}${url}"`);
+
+exports.escapeXml = escapeXml;
+exports.absoluteUrl = absoluteUrl;
+exports.absoluteHtml = absoluteHtml;
+
+exports.buildRss = (feed, items) => {
+  const entries = items.map((item) => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+    item.author ? `      <dc:creator>${escapeXml(item.author)}</dc:creator>` : null,
+    ...item.categories.map((category) => `      <category>${escapeXml(category)}</category>`),
+    `      <description>${escapeXml(item.summary)}</description>`,
+    item.contentHtml ? `      <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>` : null,
+    item.image ? `      <enclosure url="${escapeXml(item.image)}" length="0" type="${imageType(item.image)}"/>` : null,
+    item.image ? `      <media:content url="${escapeXml(item.image)}" medium="image"/>` : null,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.siteUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    '    <language>en</language>',
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...entries,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+};
+
+exports.buildAtom = (feed, items) => {
+  const entries = items.map((item) => [
+    '  <entry>',
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+    `    <id>${escapeXml(item.id)}</id>`,
+    `    <published>${item.published.toISOString()}</published>`,
+    `    <updated>${item.updated.toISOString()}</updated>`,
+    item.author ? `    <author><name>${escapeXml(item.author)}</name></author>` : null,
+    ...item.categories.map((category) => `    <category term="${escapeXml(category)}"/>`),
+    `    <summary type="text">${escapeXml(item.summary)}</summary>`,
+    item.contentHtml ? `    <content type="html">${escapeXml(item.contentHtml)}</content>` : null,
+    item.image ? `    <link rel="enclosure" type="${imageType(item.image)}" href="${escapeXml(item.image)}"/>` : null,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>`,
+    `  <id>${escapeXml(feed.feedUrl)}</id>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+};
+
+exports.buildJsonFeed = (feed, items) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  home_page_url: feed.siteUrl,
+  feed_url: feed.feedUrl,
+  description: feed.description,
+  language: 'en',
+  items: items.map((item) => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    summary: item.summary,
+    // JSON Feed requires content; excerpt mode falls back to the summary as text
+    ...(item.contentHtml ? { content_html: item.contentHtml } : { content_text: item.summary }),
+    image: item.image || undefined,
+    date_published: item.published.toISOString(),
+    date_modified: item.updated.toISOString(),
+    authors: item.author ? [{ name: item.author }] : undefined,
+    tags: item.categories.length ? item.categories : undefined
+  }))
+}, null, 2);
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Write each message as a JSON file so flows can be tested without a mail server.
+// Messages carry live reset and verification links, so the default directory
+// is outside the repository.
+module.exports = () => {
+  const dir = process.env.MAIL_FILE_DIR
+    ? path.resolve(process.env.MAIL_FILE_DIR)
+    : path.join(os.tmpdir(), 'we3vision-mail-outbox');
+
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const safeTo = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+      const filePath = path.join(dir, `${Date.now()}-${safeTo}.json`);
+      await fs.promises.writeFile(
+        filePath,
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+      return { messageId: path.basename(filePath) };
+    }
+  };
+};
@@ -0,0 +1,59 @@
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+
+// Available drivers, selected with MAIL_DRIVER (defaults to smtp in production
+// and console elsewhere)
+const drivers = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+// Drivers that never deliver mail, refused in production
+const DEVELOPMENT_DRIVERS = ['console', 'file'];
+
+let transport = null;
+
+// The configured driver name, throwing when it cannot be used here
+const resolveDriver = () => {
+  const production = process.env.NODE_ENV === 'production';
+  const driver = (process.env.MAIL_DRIVER || (production ? 'smtp' : 'console')).toLowerCase();
+  if (!drivers[driver]) {
+    throw new Error(`Unknown MAIL_DRIVER "${driver}"`);
+  }
+  if (production && DEVELOPMENT_DRIVERS.includes(driver)) {
+    throw new Error(`MAIL_DRIVER "${driver}" does not deliver mail and cannot be used in production`);
+  }
+  return driver;
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const driver = resolveDriver();
+    transport = drivers[driver]();
+    console.log(`📧 Mail transport initialised (${driver})`);
+  }
+  return transport;
+};
+
+// Check the mail configuration at startup instead of on the first email
+exports.checkMailConfig = () => {
+  resolveDriver();
+};
+
+// Send an email through the configured transport
+exports.sendEmail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'We3Vision <no-reply@we3vision.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+// Replace the active transport (any object with an async send(message))
+exports.setTransport = (customTransport) => {
+  transport = customTransport;
+};
@@ -0,0 +1,48 @@
+const { frontendUrl } = require('../urls');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+exports.passwordReset = (user, token) => {
+  const url = `${frontendUrl()}/reset-password/${token}`;
+  return {
+    to: user.email,
+    subject: 'Reset your We3Vision password',
+    text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires in 10 minutes.\n\n${url}\n\nIf you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Use the link below to reset your password. It expires in 10 minutes.</p><p><a href="${url}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>`
+  };
+};
+
+exports.reviewRequested = (reviewer, blog) => {
+  const url = `${frontendUrl()}/admin/blog/${blog._id}/review`;
+  return {
+    to: reviewer.email,
+    subject: `Review requested: ${blog.title}`,
+    text: `Hi ${reviewer.name},\n\n"${blog.title}" has been submitted for review and you are one of its reviewers.\n\n${url}`,
+    html: `<p>Hi ${escapeHtml(reviewer.name)},</p><p>&quot;${escapeHtml(blog.title)}&quot; has been submitted for review and you are one of its reviewers.</p><p><a href="${url}">Review post</a></p>`
+  };
+};
+
+exports.reviewChangesRequested = (author, blog, reviewerName, comment) => {
+  const url = `${frontendUrl()}/admin/blog/${blog._id}/edit`;
+  const note = comment ? `\n\n${comment}` : '';
+  return {
+    to: author.email,
+    subject: `Changes requested: ${blog.title}`,
+    text: `Hi ${author.name},\n\n${reviewerName} has requested changes to "${blog.title}". It has been moved back to draft.${note}\n\n${url}`,
+    html: `<p>Hi ${escapeHtml(author.name)},</p><p>${escapeHtml(reviewerName)} has requested changes to &quot;${escapeHtml(blog.title)}&quot;. It has been moved back to draft.</p>${comment ? `<blockquote>${escapeHtml(comment)}</blockquote>` : ''}<p><a href="${url}">Edit post</a></p>`
+  };
+};
+
+exports.emailVerification = (user, token) => {
+  const url = `${frontendUrl()}/verify-email/${token}`;
+  return {
+    to: user.email,
+    subject: 'Verify your We3Vision email',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. It expires in 24 hours.\n\n${url}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by opening the link below. It expires in 24 hours.</p><p><a href="${url}">Verify email</a></p>`
+  };
+};
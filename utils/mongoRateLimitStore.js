@@ -0,0 +1,64 @@
+const RateLimit = require('../models/RateLimit');
+
+// express-rate-limit store backed by MongoDB, so limits survive restarts and
+// are shared across instances. Each limiter should use its own prefix.
+class MongoRateLimitStore {
+  constructor({ prefix = 'rl:' } = {}) {
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const doc = await RateLimit.findOne({ key: this.prefix + key }).lean();
+    if (!doc || doc.resetAt <= new Date()) return undefined;
+    return { totalHits: doc.hits, resetTime: doc.resetAt };
+  }
+
+  async increment(key, retry = true) {
+    const now = new Date();
+    const expired = { $lte: [{ $ifNull: ['$resetAt', new Date(0)] }, now] };
+
+    try {
+      // Single atomic update: start a new window if the old one has expired
+      const doc = await RateLimit.findOneAndUpdate(
+        { key: this.prefix + key },
+        [{
+          $set: {
+            hits: { $cond: [expired, 1, { $add: ['$hits', 1] }] },
+            resetAt: { $cond: [expired, new Date(now.getTime() + this.windowMs), '$resetAt'] }
+          }
+        }],
+        { upsert: true, new: true }
+      ).lean();
+
+      return { totalHits: doc.hits, resetTime: doc.resetAt };
+    } catch (error) {
+      // Two instances upserting the same new key at once, the loser retries
+      if (retry && error.code === 11000) {
+        return this.increment(key, false);
+      }
+      throw error;
+    }
+  }
+
+  async decrement(key) {
+    await RateLimit.updateOne(
+      { key: this.prefix + key, hits: { $gt: 0 } },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  async resetKey(key) {
+    await RateLimit.deleteOne({ key: this.prefix + key });
+  }
+
+  async resetAll() {
+    await RateLimit.deleteMany({ key: { $regex: `^${this.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } });
+  }
+}
+
+module.exports = MongoRateLimitStore;
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Minimal OpenID Connect client for the authorization code flow. Endpoints are
+// read from the issuer's discovery document, so a local mock issuer serving
+// /.well-known/openid-configuration and a JWKS can stand in for Google in tests.
+
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(`OIDC request to ${url} failed with ${response.status}`);
+    error.body = body;
+    throw error;
+  }
+  return body;
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// Random state, nonce and PKCE verifier/challenge for one login attempt
+exports.createLoginParams = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  return {
+    state: base64url(crypto.randomBytes(16)),
+    nonce: base64url(crypto.randomBytes(16)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+};
+
+const getDiscovery = async (issuer) => {
+  const cached = discoveryCache.get(issuer);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) return cached.config;
+
+  const config = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  discoveryCache.set(issuer, { config, fetchedAt: Date.now() });
+  return config;
+};
+
+// Find the JWK for `kid`, refetching the key set once if it is unknown (key rotation)
+const getSigningKey = async (jwksUri, kid) => {
+  let cached = jwksCache.get(jwksUri);
+  let key = cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS
+    ? cached.keys.find((k) => k.kid === kid)
+    : null;
+
+  if (!key) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+    key = keys.find((k) => k.kid === kid);
+  }
+
+  if (!key) throw new Error(`No signing key found for kid "${kid}"`);
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+exports.buildAuthorizationUrl = async ({ issuer, clientId, redirectUri, state, nonce, codeChallenge, scope = 'openid email profile' }) => {
+  const { authorization_endpoint: endpoint } = await getDiscovery(issuer);
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+    prompt: 'select_account'
+  });
+  return `${endpoint}?${params.toString()}`;
+};
+
+// Exchange an authorization code for tokens at the token endpoint
+exports.exchangeCode = async ({ issuer, clientId, clientSecret, redirectUri, code, codeVerifier }) => {
+  const { token_endpoint: endpoint } = await getDiscovery(issuer);
+  return fetchJson(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      client_id: clientId,
+      client_secret: clientSecret,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier
+    }).toString()
+  });
+};
+
+// Verify an ID token's signature against the issuer JWKS and check its claims
+exports.verifyIdToken = async (idToken, { issuer, audience, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || decoded.header.alg !== 'RS256') {
+    throw new Error('Unsupported or malformed ID token');
+  }
+
+  const { jwks_uri: jwksUri, issuer: discoveredIssuer } = await getDiscovery(issuer);
+  const key = await getSigningKey(jwksUri, decoded.header.kid);
+
+  // Google issues tokens with and without the scheme
+  const issuers = [discoveredIssuer || issuer];
+  if (issuers[0] === 'https://accounts.google.com') issuers.push('accounts.google.com');
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256'],
+    issuer: issuers,
+    audience
+  });
+
+  if (nonce && claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+  return claims;
+};
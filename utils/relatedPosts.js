@@ -0,0 +1,130 @@
+const Blog = require('../models/Blog');
+const { plainText } = require('./renderContent');
+const { tokenize, stem } = require('./textSearch');
+const { statsSignature } = require('./contentStats');
+
+// Related posts for every published post, precomputed in memory. Similarity
+// blends TF-IDF cosine similarity of title and content with shared tags and
+// category, and newer candidates get a boost:
+//
+//   score = (0.5 * content + 0.3 * tags + 0.2 * category) * (0.7 + 0.3 * recency)
+//
+// where tags is the Jaccard overlap of the tag sets and recency falls from 1
+// towards 0 as a candidate ages (half at RECENCY_DAYS old). The table is
+// rebuilt when the published posts change, eagerly after edits through
+// refreshRelatedPosts() and otherwise on the next read.
+
+const KEEP_PER_POST = 10;
+const TERMS_PER_POST = 200;
+const RECENCY_DAYS = 180;
+
+let table = { signature: null, related: new Map() };
+let building = null;
+
+// Stemmed term counts; the title counts twice
+const termCounts = (blog) => {
+  const counts = new Map();
+  [...tokenize(blog.title), ...tokenize(blog.title), ...tokenize(plainText(blog.contentHtml))]
+    .forEach((word) => {
+      const term = stem(word);
+      counts.set(term, (counts.get(term) || 0) + 1);
+    });
+  return counts;
+};
+
+// Unit-length TF-IDF vectors, trimmed to each post's strongest terms
+const tfidfVectors = (docs) => {
+  const documentFrequency = new Map();
+  docs.forEach((counts) => counts.forEach((count, term) => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+
+  return docs.map((counts) => {
+    const weights = [...counts].map(([term, count]) => [
+      term,
+      (1 + Math.log(count)) * Math.log((docs.length + 1) / (documentFrequency.get(term) + 1))
+    ])
+      .filter(([, weight]) => weight > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TERMS_PER_POST);
+    const norm = Math.sqrt(weights.reduce((sum, [, weight]) => sum + weight * weight, 0)) || 1;
+    return new Map(weights.map(([term, weight]) => [term, weight / norm]));
+  });
+};
+
+const cosine = (a, b) => {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let sum = 0;
+  small.forEach((weight, term) => {
+    const other = large.get(term);
+    if (other) sum += weight * other;
+  });
+  return sum;
+};
+
+const jaccard = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach((tag) => { if (b.has(tag)) shared += 1; });
+  return shared / (a.size + b.size - shared);
+};
+
+const build = async (signature) => {
+  const blogs = await Blog.find(Blog.publishedFilter())
+    .select('title contentHtml category tags publishedAt createdAt')
+    .lean();
+
+  const vectors = tfidfVectors(blogs.map(termCounts));
+  const tagSets = blogs.map((blog) => new Set((blog.tags || []).map((tag) => tag.toLowerCase())));
+  const now = Date.now();
+  const recency = blogs.map((blog) => {
+    const ageDays = Math.max(0, now - new Date(blog.publishedAt || blog.createdAt).getTime()) / 86400000;
+    return RECENCY_DAYS / (RECENCY_DAYS + ageDays);
+  });
+
+  const related = new Map();
+  blogs.forEach((blog, i) => {
+    const scored = [];
+    blogs.forEach((candidate, j) => {
+      if (i === j) return;
+      const similarity = 0.5 * cosine(vectors[i], vectors[j]) +
+        0.3 * jaccard(tagSets[i], tagSets[j]) +
+        0.2 * (blog.category && blog.category === candidate.category ? 1 : 0);
+      if (similarity > 0) {
+        scored.push({ id: candidate._id, score: similarity * (0.7 + 0.3 * recency[j]) });
+      }
+    });
+    scored.sort((a, b) => b.score - a.score);
+    related.set(blog._id.toString(), scored.slice(0, KEEP_PER_POST).map((entry) => ({
+      id: entry.id,
+      score: Math.round(entry.score * 1000) / 1000
+    })));
+  });
+
+  table = { signature, related };
+  return table;
+};
+
+// The current table, rebuilding it first when posts changed since it was built.
+// Concurrent callers share one rebuild.
+const loadTable = async () => {
+  const signature = statsSignature(await Blog.publishedStats());
+  if (table.signature === signature) return table;
+  if (!building) {
+    building = build(signature).finally(() => { building = null; });
+  }
+  return building;
+};
+
+// [{ id, score }] of posts related to a published post, best first
+exports.relatedPostIds = async (blogId, limit = KEEP_PER_POST) => {
+  const { related } = await loadTable();
+  return (related.get(blogId.toString()) || []).slice(0, limit);
+};
+
+// Rebuild in the background, e.g. right after a post was published or edited
+exports.refreshRelatedPosts = () => {
+  loadTable().catch((err) => console.error('❌ Related posts refresh failed:', err));
+};
+
+exports.KEEP_PER_POST = KEEP_PER_POST;
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// Renders blog content (Markdown, or block JSON as produced by block editors
+// such as Editor.js) to sanitised HTML with heading anchors and a table of
+// contents. Raw HTML inside Markdown is allowed through the same allow-list,
+// so content written before formats existed still renders.
+
+const CONTENT_FORMATS = ['markdown', 'blocks'];
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const omit = (attribs, ...names) => Object.fromEntries(
+  Object.entries(attribs).filter(([name]) => !names.includes(name))
+);
+
+const sanitizeOptions = (headings) => ({
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'strong', 'b', 'em', 'i', 'u', 's', 'del', 'mark', 'sup', 'sub', 'span',
+    'blockquote', 'ul', 'ol', 'li', 'a', 'code', 'pre',
+    'img', 'figure', 'figcaption',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    code: ['class'],
+    th: ['align', 'colspan', 'rowspan'],
+    td: ['align', 'colspan', 'rowspan'],
+    ol: ['start'],
+    h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id']
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/]
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    // Links leaving the site never get access to the opener or pass on ranking
+    a: (tagName, attribs) => {
+      const external = /^(https?:)?\/\//i.test(attribs.href || '');
+      return {
+        tagName,
+        attribs: external
+          ? { ...attribs, rel: 'noopener noreferrer nofollow', target: '_blank' }
+          : omit(attribs, 'rel', 'target')
+      };
+    },
+    // Only ids we generated survive, so pasted HTML cannot clobber page elements
+    // or repeat a table of contents anchor
+    ...Object.fromEntries(['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].map((tag) => [tag, (tagName, attribs) => ({
+      tagName,
+      attribs: headings.isGenerated(attribs) ? attribs : omit(attribs, 'id')
+    })]))
+  }
+});
+
+// Per-render state: unique heading anchors and the table of contents. Headings
+// we render carry a random marker, so raw HTML headings in the content cannot
+// pass off an id of their own as a generated one.
+const createHeadingCollector = () => {
+  const toc = [];
+  const ids = new Set();
+  const marker = crypto.randomBytes(8).toString('hex');
+
+  const anchor = (text) => {
+    const base = String(text)
+      .toLowerCase()
+      .replace(/<[^>]*>/g, '')
+      .replace(/[^a-z0-9\s-]/g, '')
+      .trim()
+      .replace(/\s+/g, '-')
+      .replace(/-+/g, '-') || 'section';
+    let id = base;
+    for (let n = 1; ids.has(id); n++) id = `${base}-${n}`;
+    ids.add(id);
+    return id;
+  };
+
+  return {
+    toc,
+    heading: (html, level, text) => {
+      const id = anchor(text);
+      toc.push({ id, text: String(text).replace(/<[^>]*>/g, '').trim(), level });
+      return `<h${level} id="${id}" data-heading="${marker}">${html}</h${level}>\n`;
+    },
+    isGenerated: (attribs) => attribs['data-heading'] === marker && ids.has(attribs.id)
+  };
+};
+
+const renderMarkdown = (source, headings) => {
+  const marked = new Marked({ gfm: true });
+  marked.use({
+    renderer: {
+      heading: (text, level, raw) => headings.heading(text, level, raw)
+    }
+  });
+  return marked.parse(source);
+};
+
+const renderBlock = (block, headings) => {
+  const data = block.data || {};
+  switch (block.type) {
+    case 'paragraph':
+      return `<p>${data.text || ''}</p>`;
+    case 'header':
+    case 'heading': {
+      const level = Math.min(Math.max(parseInt(data.level, 10) || 2, 1), 6);
+      return headings.heading(data.text || '', level, data.text || '');
+    }
+    case 'list': {
+      const tag = data.style === 'ordered' ? 'ol' : 'ul';
+      const items = (data.items || [])
+        .map((item) => `<li>${typeof item === 'string' ? item : item.content || ''}</li>`)
+        .join('');
+      return `<${tag}>${items}</${tag}>`;
+    }
+    case 'quote':
+      return `<blockquote><p>${data.text || ''}</p>${data.caption ? `<p>${data.caption}</p>` : ''}</blockquote>`;
+    case 'code':
+      return `<pre><code>${escapeHtml(data.code || '')}</code></pre>`;
+    case 'image': {
+      const url = (data.file && data.file.url) || data.url || '';
+      const caption = data.caption ? `<figcaption>${data.caption}</figcaption>` : '';
+      return `<figure><img src="${escapeHtml(url)}" alt="${escapeHtml(data.alt || data.caption || '')}">${caption}</figure>`;
+    }
+    case 'delimiter':
+      return '<hr>';
+    case 'table': {
+      const rows = data.content || [];
+      const cells = (row, tag) => (Array.isArray(row) ? row : [])
+        .map((cell) => `<${tag}>${cell}</${tag}>`)
+        .join('');
+      const head = data.withHeadings && rows.length ? `<thead><tr>${cells(rows[0], 'th')}</tr></thead>` : '';
+      const body = (data.withHeadings ? rows.slice(1) : rows).map((row) => `<tr>${cells(row, 'td')}</tr>`).join('');
+      return `<table>${head}<tbody>${body}</tbody></table>`;
+    }
+    default:
+      return '';
+  }
+};
+
+const renderBlocks = (source, headings) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(source);
+  } catch (err) {
+    throw new Error('Content is not valid block JSON');
+  }
+  const blocks = Array.isArray(parsed) ? parsed : parsed && parsed.blocks;
+  if (!Array.isArray(blocks)) {
+    throw new Error('Block content must be an array of blocks');
+  }
+  return blocks.map((block) => renderBlock(block || {}, headings)).join('\n');
+};
+
+// Render content to { html, toc }. Throws when block JSON cannot be parsed.
+const renderContent = (source, format = 'markdown') => {
+  const headings = createHeadingCollector();
+  const html = format === 'blocks'
+    ? renderBlocks(source || '', headings)
+    : renderMarkdown(source || '', headings);
+
+  return {
+    html: sanitizeHtml(html, sanitizeOptions(headings)).trim(),
+    toc: headings.toc
+  };
+};
+
+// Readable text of rendered HTML, with block elements separated by spaces
+const plainText = (html) => sanitizeHtml(
+  String(html || '').replace(/<\/(p|h[1-6]|li|blockquote|pre|td|th|figcaption)>|<br\s*\/?>/gi, '$& '),
+  { allowedTags: [], allowedAttributes: {} }
+)
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Shorten text to maxLength at a word boundary, marking the cut with an ellipsis
+const truncateText = (text, maxLength) => {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  const shortened = lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut;
+  return `${shortened.replace(/[\s.,;:!?-]+$/, '')}…`;
+};
+
+module.exports = {
+  CONTENT_FORMATS,
+  renderContent,
+  plainText,
+  truncateText
+};
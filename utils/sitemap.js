@@ -0,0 +1,170 @@
+const Blog = require('../models/Blog');
+const Job = require('../models/job');
+const Category = require('../models/Category');
+const { escapeXml, absoluteUrl } = require('./feeds');
+const { statsSignature } = require('./contentStats');
+const { frontendUrl, backendUrl } = require('./urls');
+
+// Sitemap index and child sitemaps for published blogs, active jobs and blog
+// categories. Each section reports { count, lastmod } for its content; rendered
+// pages are cached until those change, so any write that adds, removes or
+// edits a post or job (including the scheduler and direct updates) invalidates
+// them on the next request.
+
+// Limit from the sitemaps protocol; larger sections are split into numbered files
+const MAX_URLS = 50000;
+
+const pageSize = () => Math.min(parseInt(process.env.SITEMAP_MAX_URLS, 10) || MAX_URLS, MAX_URLS);
+
+// Categories with published posts as { slug, lastmod }. Posts store the
+// category name, so this joins on it; a name with no Category left has no page
+// and is skipped. Editing the category (e.g. its slug) moves lastmod too.
+const publishedCategories = () => [
+  { $match: Blog.publishedFilter() },
+  { $group: { _id: '$category', lastmod: { $max: '$updatedAt' } } },
+  { $lookup: { from: Category.collection.name, localField: '_id', foreignField: 'name', as: 'category' } },
+  { $unwind: '$category' },
+  { $project: { slug: '$category.slug', lastmod: { $max: ['$lastmod', '$category.updatedAt'] } } }
+];
+
+const sections = {
+  blogs: {
+    stats: () => Blog.publishedStats(),
+    urls: async (skip, limit) => {
+      const blogs = await Blog.find(Blog.publishedFilter())
+        .sort({ _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select('slug featuredImage updatedAt')
+        .lean();
+      return blogs.map((blog) => ({
+        loc: `${frontendUrl()}/blog/${blog.slug}`,
+        lastmod: blog.updatedAt,
+        images: blog.featuredImage ? [absoluteUrl(blog.featuredImage, backendUrl())] : []
+      }));
+    }
+  },
+  jobs: {
+    stats: () => Job.activeStats(),
+    urls: async (skip, limit) => {
+      const jobs = await Job.find({ isActive: true })
+        .sort({ _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select('slug updatedAt')
+        .lean();
+      return jobs.map((job) => ({
+        loc: `${frontendUrl()}/careers/${job.slug}`,
+        lastmod: job.updatedAt
+      }));
+    }
+  },
+  categories: {
+    stats: async () => {
+      const [row] = await Blog.aggregate([
+        ...publishedCategories(),
+        { $group: { _id: null, count: { $sum: 1 }, lastmod: { $max: '$lastmod' } } }
+      ]);
+      return row ? { count: row.count, lastmod: row.lastmod } : { count: 0, lastmod: null };
+    },
+    urls: async (skip, limit) => {
+      const categories = await Blog.aggregate([
+        ...publishedCategories(),
+        { $sort: { slug: 1 } },
+        { $skip: skip },
+        { $limit: limit }
+      ]);
+      return categories.map((category) => ({
+        loc: `${frontendUrl()}/blog/category/${encodeURIComponent(category.slug)}`,
+        lastmod: category.lastmod
+      }));
+    }
+  }
+};
+
+// section -> { signature, pages: Map(page -> xml) }
+const cache = new Map();
+
+const renderUrlset = (urls) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+  ...urls.map((url) => [
+    '  <url>',
+    `    <loc>${escapeXml(url.loc)}</loc>`,
+    url.lastmod ? `    <lastmod>${url.lastmod.toISOString()}</lastmod>` : null,
+    ...(url.images || []).map((image) => `    <image:image><image:loc>${escapeXml(image)}</image:loc></image:image>`),
+    '  </url>'
+  ].filter(Boolean).join('\n')),
+  '</urlset>',
+  ''
+].join('\n');
+
+// Everything the index needs: each section's stats and number of pages
+const describeSections = async () => {
+  const described = [];
+  for (const [name, section] of Object.entries(sections)) {
+    const stats = await section.stats();
+    described.push({
+      name,
+      stats,
+      pages: Math.max(Math.ceil(stats.count / pageSize()), 1)
+    });
+  }
+  return described;
+};
+
+// The sitemap index. Returns { xml, signature, lastmod }.
+exports.sitemapIndex = async () => {
+  const described = await describeSections();
+  const entries = [];
+  described.forEach(({ name, stats, pages }) => {
+    for (let page = 1; page <= pages; page++) {
+      entries.push([
+        '  <sitemap>',
+        `    <loc>${escapeXml(`${backendUrl()}/sitemap-${name}-${page}.xml`)}</loc>`,
+        stats.lastmod ? `    <lastmod>${stats.lastmod.toISOString()}</lastmod>` : null,
+        '  </sitemap>'
+      ].filter(Boolean).join('\n'));
+    }
+  });
+
+  const lastmods = described.map(({ stats }) => stats.lastmod).filter(Boolean);
+  return {
+    xml: [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...entries,
+      '</sitemapindex>',
+      ''
+    ].join('\n'),
+    signature: described.map(({ name, stats }) => `${name}=${statsSignature(stats)}`).join(';'),
+    lastmod: lastmods.length ? new Date(Math.max(...lastmods)) : null
+  };
+};
+
+// One child sitemap. Returns { xml, signature, lastmod }, or null for an
+// unknown section or a page past the end.
+exports.sitemapPage = async (name, page) => {
+  const section = Object.prototype.hasOwnProperty.call(sections, name) ? sections[name] : null;
+  if (!section) return null;
+
+  const stats = await section.stats();
+  const size = pageSize();
+  if (page < 1 || page > Math.max(Math.ceil(stats.count / size), 1)) return null;
+
+  const signature = statsSignature(stats);
+  let cached = cache.get(name);
+  if (!cached || cached.signature !== signature) {
+    cached = { signature, pages: new Map() };
+    cache.set(name, cached);
+  }
+  if (!cached.pages.has(page)) {
+    cached.pages.set(page, renderUrlset(await section.urls((page - 1) * size, size)));
+  }
+
+  return {
+    xml: cached.pages.get(page),
+    signature: `${name}-${page}=${signature}`,
+    lastmod: stats.lastmod
+  };
+};
@@ -0,0 +1,153 @@
+// Helpers shared by the search endpoints: query terms, highlighted snippets and
+// "did you mean" suggestions. Matching and ranking are done by MongoDB text
+// indexes, which stem words, so highlighting compares rough stems as well.
+
+// Common English words MongoDB's text index ignores as well
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but',
+  'by', 'can', 'could', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'most', 'my', 'no', 'not', 'of',
+  'on', 'or', 'our', 'out', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then',
+  'there', 'these', 'they', 'this', 'to', 'up', 'us', 'was', 'we', 'were', 'what', 'when', 'where',
+  'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+const SUFFIXES = ['ations', 'ation', 'ings', 'ing', 'edly', 'ied', 'ies', 'ed', 'es', 'ly', 's'];
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Lower-cased words of two or more characters, without stop words
+const tokenize = (text) => (String(text || '').toLowerCase().match(WORD) || [])
+  .filter((word) => word.length > 1 && !STOP_WORDS.has(word));
+
+// Rough English stem, enough to line highlighted words up with what MongoDB matched
+const stem = (word) => {
+  const suffix = SUFFIXES.find((ending) => word.endsWith(ending) && word.length - ending.length >= 3);
+  return suffix ? word.slice(0, -suffix.length) : word;
+};
+
+// Terms of a search as typed, leaving out -excluded words
+const searchTerms = (query) => [...new Set(tokenize(String(query || '').replace(/(^|\s)-\S+/g, ' ')))];
+
+const matchesTerm = (word, stems) => {
+  const lower = word.toLowerCase();
+  return stems.some((termStem) => lower.startsWith(termStem));
+};
+
+// HTML-escaped text with matching words wrapped in <mark>
+const highlight = (text, terms) => {
+  const source = String(text || '');
+  const stems = terms.map(stem);
+  let html = '';
+  let last = 0;
+  for (const match of source.matchAll(WORD)) {
+    if (!matchesTerm(match[0], stems)) continue;
+    html += `${escapeHtml(source.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(source.slice(last));
+};
+
+// Share of the terms found in text, from 0 to 1
+const termCoverage = (text, terms) => {
+  if (!terms.length) return 0;
+  const words = String(text || '').match(WORD) || [];
+  const found = terms.filter((term) => words.some((word) => matchesTerm(word, [stem(term)])));
+  return found.length / terms.length;
+};
+
+// Highlighted window of about maxLength characters around the first match
+// (or the start of the text when nothing matches)
+const snippet = (text, terms, maxLength = 160) => {
+  const source = String(text || '');
+  const stems = terms.map(stem);
+  let start = 0;
+  for (const match of source.matchAll(WORD)) {
+    if (matchesTerm(match[0], stems)) {
+      start = Math.max(0, match.index - Math.floor(maxLength / 3));
+      break;
+    }
+  }
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    start = space === -1 || space > start + 20 ? start : space + 1;
+  }
+  let end = Math.min(source.length, start + maxLength);
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  return `${start > 0 ? '…' : ''}${highlight(source.slice(start, end), terms)}${end < source.length ? '…' : ''}`;
+};
+
+// Levenshtein distance, giving up once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Word -> frequency map of the given texts, for suggestions
+const buildVocabulary = (texts) => {
+  const vocabulary = new Map();
+  texts.forEach((text) => tokenize(text).forEach((word) => {
+    vocabulary.set(word, (vocabulary.get(word) || 0) + 1);
+  }));
+  return vocabulary;
+};
+
+// Closest known spelling for each unknown term, preferring common words.
+// Returns the corrected query, or null when there is nothing to correct.
+const suggestQuery = (query, vocabulary) => {
+  let changed = false;
+  const corrected = (String(query || '').toLowerCase().match(WORD) || []).map((word) => {
+    if (word.length < 3 || STOP_WORDS.has(word) || vocabulary.has(word)) return word;
+
+    const max = word.length > 5 ? 2 : 1;
+    let best = null;
+    vocabulary.forEach((count, candidate) => {
+      const distance = editDistance(word, candidate, max);
+      if (distance > max) return;
+      if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+        best = { word: candidate, distance, count };
+      }
+    });
+    if (!best) return word;
+    changed = true;
+    return best.word;
+  });
+  return changed ? corrected.join(' ') : null;
+};
+
+module.exports = {
+  STOP_WORDS,
+  tokenize,
+  stem,
+  searchTerms,
+  highlight,
+  termCoverage,
+  snippet,
+  buildVocabulary,
+  suggestQuery
+};
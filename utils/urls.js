@@ -0,0 +1,9 @@
+// Public base URLs, without a trailing slash. Read on every call so a changed
+// environment (e.g. in tests) takes effect.
+
+// The website, where posts, jobs and category pages live
+exports.frontendUrl = () => (process.env.FRONTEND_URL || 'https://we3vision.com').replace(/\/$/, '');
+
+// The API server root (BACKEND_URL without its /api suffix), where uploads,
+// feeds and sitemaps are served
+exports.backendUrl = () => (process.env.BACKEND_URL || 'https://we3vision-backend-1.onrender.com/api').replace(/\/api\/?$/, '');